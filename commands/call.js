@@ -0,0 +1,24 @@
+module.exports = {
+  name: 'call',
+  description: 'Inicia una llamada con los participantes de la conversación',
+  usage: '/call [video]',
+
+  async execute(ctx) {
+    const callType = ctx.argv[0] === 'video' ? 'video' : 'audio';
+    const participants = await ctx.handlers.chat.getConversationParticipants(ctx.conversationId);
+    const targetUserIds = participants.map(p => p.user_id).filter(id => id !== ctx.userId);
+
+    if (targetUserIds.length === 0) {
+      ctx.reply('No hay otros participantes para llamar');
+      return;
+    }
+
+    // Sin offer inicial: el cliente del host negocia con call_offer_send al recibir call_participant_joined
+    await ctx.handlers.call.handleCallRequest(ctx.socket, {
+      targetUserIds,
+      callType,
+      offer: null,
+      conversationId: ctx.conversationId
+    });
+  }
+};
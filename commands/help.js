@@ -0,0 +1,10 @@
+module.exports = {
+  name: 'help',
+  description: 'Lista los comandos disponibles',
+  usage: '/help',
+
+  async execute(ctx) {
+    const lines = ctx.listCommands().map(c => `- \`${c.usage}\` — ${c.description}`);
+    ctx.reply(`**Comandos disponibles**\n${lines.join('\n')}`);
+  }
+};
@@ -0,0 +1,8 @@
+// Comandos incluidos; otros módulos se pueden agregar con CommandHandler.register()
+module.exports = [
+  require('./help'),
+  require('./task'),
+  require('./remind'),
+  require('./call'),
+  require('./poll')
+];
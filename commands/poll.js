@@ -0,0 +1,19 @@
+const OPTION_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+module.exports = {
+  name: 'poll',
+  description: 'Crea una encuesta; se vota reaccionando con el número de la opción',
+  usage: '/poll "Pregunta" "Opción 1" "Opción 2" ...',
+
+  async execute(ctx) {
+    const [question, ...options] = ctx.argv;
+
+    if (!question || options.length < 2 || options.length > OPTION_EMOJIS.length) {
+      ctx.reply(`Uso: \`${this.usage}\` (entre 2 y ${OPTION_EMOJIS.length} opciones)`);
+      return;
+    }
+
+    const lines = options.map((option, i) => `${OPTION_EMOJIS[i]} ${option}`);
+    await ctx.post(`📊 **${question}**\n${lines.join('\n')}\n\n_Vota reaccionando con el número de tu opción_`);
+  }
+};
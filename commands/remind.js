@@ -0,0 +1,31 @@
+const UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+module.exports = {
+  name: 'remind',
+  description: 'Programa un recordatorio en esta conversación',
+  usage: '/remind <30m|2h|1d> <texto>',
+
+  async execute(ctx) {
+    const [when, ...words] = ctx.argv;
+    const match = when ? when.match(/^(\d+)([mhd])$/) : null;
+    const text = words.join(' ');
+
+    if (!match || !text) {
+      ctx.reply(`Uso: \`${this.usage}\``);
+      return;
+    }
+
+    const sendAt = new Date(Date.now() + parseInt(match[1], 10) * UNITS[match[2]] * 1000);
+
+    // Se guarda como mensaje programado: sobrevive reinicios y se puede cancelar con cancel_scheduled
+    await ctx.handlers.scheduled.handleScheduleMessage(ctx.socket, {
+      conversationId: ctx.conversationId,
+      content: `⏰ Recordatorio: ${text}`,
+      sendAt: sendAt.toISOString()
+    }, (result) => {
+      ctx.reply(result.success
+        ? `Recordatorio programado para ${sendAt.toISOString()}`
+        : `No se pudo programar el recordatorio: ${result.error}`);
+    });
+  }
+};
@@ -0,0 +1,60 @@
+const db = require('../config/database');
+const pushService = require('../services/pushService');
+
+const MAX_TITLE_LENGTH = 255;
+
+module.exports = {
+  name: 'task',
+  description: 'Crea una tarea en el proyecto de la conversación',
+  usage: '/task create <título> [@responsable]',
+
+  async execute(ctx) {
+    const [action] = ctx.argv;
+    const rest = ctx.args.replace(/^\S+\s*/, '');
+
+    if (action !== 'create' || !rest) {
+      ctx.reply(`Uso: \`${this.usage}\``);
+      return;
+    }
+
+    const [conversations] = await db.execute('SELECT project_id FROM conversations WHERE id = ?', [ctx.conversationId]);
+    const projectId = conversations[0] ? conversations[0].project_id : null;
+    if (!projectId) {
+      ctx.reply('Esta conversación no está asociada a un proyecto');
+      return;
+    }
+
+    // El responsable se indica con una mención a un participante
+    const participants = await ctx.handlers.chat.getConversationParticipants(ctx.conversationId);
+    const [assignee] = ctx.handlers.chat.extractMentions(rest, participants);
+    let title = rest;
+    if (assignee) {
+      const index = rest.toLowerCase().indexOf(`@${assignee.name.toLowerCase()}`);
+      title = rest.slice(0, index) + rest.slice(index + assignee.name.length + 1);
+    }
+    title = title.replace(/\s+/g, ' ').trim().substring(0, MAX_TITLE_LENGTH);
+
+    if (!title) {
+      ctx.reply('La tarea necesita un título');
+      return;
+    }
+
+    // La tabla es del API; las columnas que se escriben aquí están documentadas en migrations/018_tasks_contract.sql
+    const [result] = await db.execute(
+      `INSERT INTO tasks (project_id, title, assigned_to, created_by, status, created_at)
+       VALUES (?, ?, ?, ?, 'pending', NOW())`,
+      [projectId, title, assignee ? assignee.userId : null, ctx.userId]
+    );
+    const task = { id: result.insertId, project_id: projectId, title };
+
+    console.log(`[COMMANDS] Tarea ${task.id} creada por usuario ${ctx.userId} en proyecto ${projectId}`);
+
+    if (assignee && assignee.userId !== ctx.userId) {
+      pushService.notifyTaskAssignment(task, assignee.userId)
+        .catch(error => console.error('[COMMANDS] Error enviando push de tarea asignada:', error));
+    }
+
+    const assignedText = assignee ? ` y la asignó a @${assignee.name}` : '';
+    await ctx.post(`📋 ${ctx.userName} creó la tarea **${title}**${assignedText}`);
+  }
+};
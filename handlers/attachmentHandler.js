@@ -0,0 +1,202 @@
+const { verifyToken } = require('../middleware/auth');
+const attachmentService = require('../services/attachmentService');
+const { AttachmentError } = require('../services/attachmentService');
+
+// Subidas sin mensaje asociado se eliminan pasado este tiempo
+const ORPHAN_UPLOAD_MAX_AGE = (parseInt(process.env.ORPHAN_UPLOAD_HOURS, 10) || 24) * 60 * 60;
+const ORPHAN_SWEEP_INTERVAL = 60 * 60 * 1000;
+const ORPHAN_BATCH_SIZE = 200;
+
+class AttachmentHandler {
+  constructor(chatHandler) {
+    this.chatHandler = chatHandler;
+    this.sweeping = false;
+    this.timer = null;
+  }
+
+  // Iniciar la limpieza periódica de subidas huérfanas
+  start() {
+    this.timer = setInterval(() => this.sweepOrphans(), ORPHAN_SWEEP_INTERVAL);
+    this.timer.unref();
+    this.sweepOrphans();
+
+    console.log(`[ATTACHMENT] Limpieza de subidas sin mensaje activa (más de ${ORPHAN_UPLOAD_MAX_AGE / 3600}h)`);
+  }
+
+  async sweepOrphans() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      let removed;
+      do {
+        removed = await attachmentService.removeOrphanUploads(ORPHAN_UPLOAD_MAX_AGE, ORPHAN_BATCH_SIZE);
+        if (removed > 0) {
+          console.log(`[ATTACHMENT] ${removed} subidas sin mensaje eliminadas`);
+        }
+      } while (removed === ORPHAN_BATCH_SIZE);
+    } catch (error) {
+      console.error('[ATTACHMENT] Error limpiando subidas sin mensaje:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Rutas HTTP de adjuntos:
+  //   POST /attachments?conversationId=&fileName=   (cuerpo = archivo, Content-Type = MIME)
+  //   GET  /attachments/:id
+  //   GET  /attachments/:id/thumbnail
+  // Retorna false si la URL no corresponde a adjuntos
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/attachments' && !url.pathname.startsWith('/attachments/')) {
+      return false;
+    }
+
+    this.setCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return true;
+    }
+
+    const userId = this.authenticate(req, url);
+    if (!userId) {
+      this.sendJson(res, 401, { success: false, error: 'Token inválido o no proporcionado' });
+      return true;
+    }
+
+    const match = url.pathname.match(/^\/attachments\/(\d+)(\/thumbnail)?$/);
+
+    if (req.method === 'POST' && url.pathname === '/attachments') {
+      this.handleUpload(req, res, url, userId);
+    } else if (req.method === 'GET' && match) {
+      this.handleDownload(res, userId, match[1], Boolean(match[2]));
+    } else {
+      this.sendJson(res, 404, { success: false, error: 'Not Found' });
+    }
+    return true;
+  }
+
+  // Subir archivo (el cuerpo se escribe en streaming al almacenamiento)
+  async handleUpload(req, res, url, userId) {
+    try {
+      const conversationId = url.searchParams.get('conversationId');
+      const fileName = url.searchParams.get('fileName') || req.headers['x-file-name'];
+      const mimeType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const declaredSize = parseInt(req.headers['content-length'], 10) || null;
+
+      if (!conversationId) {
+        req.resume();
+        this.sendJson(res, 400, { success: false, error: 'conversationId es requerido' });
+        return;
+      }
+
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        req.resume();
+        this.sendJson(res, 403, { success: false, error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      const attachment = await attachmentService.saveUpload(req, {
+        conversationId,
+        uploaderId: userId,
+        fileName,
+        mimeType,
+        declaredSize
+      });
+
+      console.log(`[ATTACHMENT] Usuario ${userId} subió adjunto ${attachment.id} en conv ${conversationId}`);
+      this.sendJson(res, 201, { success: true, attachment: attachmentService.toPublic(attachment) });
+
+    } catch (error) {
+      if (error instanceof AttachmentError) {
+        req.resume();
+        this.sendJson(res, error.status, { success: false, error: error.message });
+        return;
+      }
+      console.error('[ATTACHMENT] Error subiendo archivo:', error);
+      this.sendJson(res, 500, { success: false, error: 'Error al subir archivo' });
+    }
+  }
+
+  // Descargar archivo o miniatura (solo participantes de la conversación)
+  async handleDownload(res, userId, attachmentId, thumbnail) {
+    try {
+      const attachment = await attachmentService.getAttachment(attachmentId);
+      const key = attachment && (thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+
+      if (!key) {
+        this.sendJson(res, 404, { success: false, error: 'Adjunto no encontrado' });
+        return;
+      }
+
+      const isParticipant = await this.chatHandler.checkParticipant(attachment.conversation_id, userId);
+      if (!isParticipant) {
+        this.sendJson(res, 403, { success: false, error: 'No tienes acceso a este adjunto' });
+        return;
+      }
+
+      // Los adjuntos de mensajes eliminados o vencidos dejan de servirse aunque el archivo siga
+      if (attachment.message_id) {
+        const message = await this.chatHandler.getMessageById(attachment.message_id);
+        const expired = message && message.expires_at && new Date(message.expires_at) <= new Date();
+        if (!message || message.deleted_at || expired) {
+          this.sendJson(res, 404, { success: false, error: 'Adjunto no encontrado' });
+          return;
+        }
+      }
+
+      const stream = attachmentService.createReadStream(key);
+      stream.on('open', () => {
+        res.writeHead(200, {
+          'Content-Type': thumbnail ? 'image/jpeg' : attachment.mime_type,
+          'Content-Disposition': `${attachmentService.isImage(attachment.mime_type) ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`,
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, max-age=86400'
+        });
+        stream.pipe(res);
+      });
+      stream.on('error', (error) => {
+        console.error('[ATTACHMENT] Error leyendo archivo:', error.message);
+        if (!res.headersSent) {
+          this.sendJson(res, 404, { success: false, error: 'Adjunto no encontrado' });
+        } else {
+          res.destroy();
+        }
+      });
+
+    } catch (error) {
+      console.error('[ATTACHMENT] Error descargando archivo:', error);
+      this.sendJson(res, 500, { success: false, error: 'Error al descargar archivo' });
+    }
+  }
+
+  // Token por header Authorization: Bearer o por ?token= (para <img src>)
+  authenticate(req, url) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+    if (!token) return null;
+
+    const decoded = verifyToken(token);
+    return decoded ? decoded.id : null;
+  }
+
+  setCorsHeaders(req, res) {
+    if (req.headers.origin) {
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+      res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-File-Name');
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = AttachmentHandler;
@@ -1,8 +1,20 @@
 const db = require('../config/database');
+const callHistoryService = require('../services/callHistoryService');
+const pushService = require('../services/pushService');
+
+// Segundos que suena una invitación antes de darse por perdida
+const RING_TIMEOUT = (parseInt(process.env.CALL_RING_TIMEOUT_SECONDS, 10) || 45) * 1000;
+
+// Segundos que se guarda el lugar de un participante desconectado antes de sacarlo de la llamada
+const RECONNECT_GRACE = (parseInt(process.env.CALL_RECONNECT_GRACE_SECONDS, 10) || 30) * 1000;
+
+const DEFAULT_HISTORY_LIMIT = 30;
+const MAX_HISTORY_LIMIT = 100;
 
 class CallHandler {
-  constructor(io) {
+  constructor(io, chatHandler) {
     this.io = io;
+    this.chatHandler = chatHandler;
     this.activeCalls = new Map(); // callId -> { callId, hostId, participants, status, startTime }
     this.userCalls = new Map(); // oderId -> callId (para saber en qué llamada está cada usuario)
   }
@@ -34,6 +46,30 @@ class CallHandler {
     return callId ? this.activeCalls.get(callId) : null;
   }
 
+  // Socket con el que un participante está en la llamada (su dispositivo activo)
+  getActiveSocket(call, userId) {
+    const participant = call && call.participants.get(userId);
+    if (!participant || !participant.socketId) return null;
+    return this.io.sockets.sockets.get(participant.socketId) || null;
+  }
+
+  // Destino de SDP e ICE: solo el dispositivo activo del participante.
+  // A quien todavía no está en la llamada (o sin llamada conocida) se le envía a todos sus sockets
+  getSignalingSockets(call, userId) {
+    if (call && call.participants.has(userId)) {
+      const active = this.getActiveSocket(call, userId);
+      return active ? [active] : [];
+    }
+    return this.getUserSockets(userId);
+  }
+
+  // Avisar a los demás dispositivos del usuario (p.ej. para que dejen de sonar)
+  emitToOtherDevices(userId, exceptSocketId, event, payload) {
+    this.getUserSockets(userId)
+      .filter(s => s.id !== exceptSocketId)
+      .forEach(s => s.emit(event, payload));
+  }
+
   // Obtener nombre del usuario
   async getUserName(userId) {
     try {
@@ -48,6 +84,47 @@ class CallHandler {
     }
   }
 
+  parseUserIds(userIds) {
+    const ids = userIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    return [...new Set(ids)];
+  }
+
+  // Destinatarios válidos: participantes de la conversación de la llamada o, si la llamada no
+  // tiene conversación, usuarios que comparten alguna conversación o proyecto con el llamante
+  async getCallableUsers(callerId, userIds, conversationId) {
+    if (userIds.length === 0) return [];
+
+    try {
+      let rows;
+      if (conversationId) {
+        [rows] = await db.execute(
+          `SELECT user_id FROM conversation_participants
+           WHERE conversation_id = ? AND user_id IN (${userIds.map(() => '?').join(',')})`,
+          [conversationId, ...userIds]
+        );
+      } else {
+        const placeholders = userIds.map(() => '?').join(',');
+        [rows] = await db.execute(
+          `SELECT cp2.user_id
+           FROM conversation_participants cp1
+           JOIN conversation_participants cp2 ON cp2.conversation_id = cp1.conversation_id
+           WHERE cp1.user_id = ? AND cp2.user_id IN (${placeholders})
+           UNION
+           SELECT pm2.user_id
+           FROM project_members pm1
+           JOIN project_members pm2 ON pm2.project_id = pm1.project_id
+           WHERE pm1.user_id = ? AND pm2.user_id IN (${placeholders})`,
+          [callerId, ...userIds, callerId, ...userIds]
+        );
+      }
+      const allowed = new Set(rows.map(r => r.user_id));
+      return userIds.filter(id => allowed.has(id));
+    } catch (error) {
+      console.error('Error getting callable users:', error);
+      return [];
+    }
+  }
+
   // Obtener info de múltiples usuarios
   async getUsersInfo(userIds) {
     try {
@@ -67,15 +144,26 @@ class CallHandler {
   // Manejar solicitud de llamada (puede ser a uno o varios usuarios)
   async handleCallRequest(socket, data) {
     const callerId = socket.userId;
-    const { targetUserIds, offer, callType } = data;
+    const { targetUserIds, offer, callType, conversationId = null } = data;
 
     // Compatibilidad con llamadas individuales (targetUserId)
-    const targets = Array.isArray(targetUserIds)
-      ? targetUserIds
-      : [data.targetUserId];
+    const requested = this.parseUserIds(Array.isArray(targetUserIds) ? targetUserIds : [data.targetUserId])
+      .filter(id => id !== callerId);
 
     const callTypeLabel = callType === 'video' ? 'Videollamada' : 'Llamada';
-    console.log(`📞 ${callTypeLabel}: Usuario ${callerId} -> Usuarios ${targets.join(', ')}`);
+    console.log(`📞 ${callTypeLabel}: Usuario ${callerId} -> Usuarios ${requested.join(', ')}`);
+
+    // Consultas antes de verificar disponibilidad: entre la verificación y el registro
+    // de la llamada no puede haber esperas, o dos llamadas simultáneas pasarían ambas
+    const callerName = await this.getUserName(callerId);
+    const callConversationId = await this.resolveCallConversation(callerId, requested, conversationId);
+
+    // Solo se puede llamar (y hacer sonar por push) a quien comparte la conversación con el llamante
+    const targets = await this.getCallableUsers(callerId, requested, callConversationId);
+    if (targets.length === 0) {
+      socket.emit('call_error', { message: 'No puedes llamar a estos usuarios' });
+      return;
+    }
 
     // Verificar si el llamante ya está en una llamada
     if (this.isUserInCall(callerId)) {
@@ -83,19 +171,19 @@ class CallHandler {
       return;
     }
 
-    // Verificar disponibilidad de cada destinatario
+    // Verificar disponibilidad de cada destinatario; los que no tienen socket suenan por push
     const unavailable = [];
     const available = [];
+    const offline = [];
 
     for (const targetId of targets) {
       if (this.isUserInCall(targetId)) {
         unavailable.push(targetId);
       } else {
         const targetSockets = this.getUserSockets(targetId);
-        if (targetSockets.length > 0) {
-          available.push({ userId: targetId, sockets: targetSockets });
-        } else {
-          unavailable.push(targetId);
+        available.push({ userId: targetId, sockets: targetSockets });
+        if (targetSockets.length === 0) {
+          offline.push(targetId);
         }
       }
     }
@@ -107,18 +195,22 @@ class CallHandler {
 
     // Crear llamada grupal
     const callId = this.generateCallId();
-    const callerName = await this.getUserName(callerId);
 
     const call = {
       callId,
       hostId: callerId,
       hostName: callerName,
-      participants: new Map([[callerId, { oderId: callerId, status: 'connected', joinedAt: Date.now() }]]),
+      participants: new Map([[callerId, { oderId: callerId, status: 'connected', joinedAt: Date.now(), socketId: socket.id }]]),
       pendingInvites: new Set(available.map(a => a.userId)),
       status: 'ringing',
       startTime: Date.now(),
       offer,
-      callType: callType || 'audio' // 'audio' o 'video'
+      callType: callType || 'audio', // 'audio' o 'video'
+      conversationId: callConversationId,
+      answeredAt: null,
+      ringTimers: new Map(), // userId -> timeout de la invitación
+      missedInvites: new Set(),
+      hostMigrationPending: false // salió el host y solo quedan participantes reconectando
     };
 
     this.activeCalls.set(callId, call);
@@ -127,6 +219,19 @@ class CallHandler {
     // Unir al host a la room de la llamada
     socket.join(`call_${callId}`);
 
+    // Historial antes de avisar a nadie, para que aceptar o rechazar encuentre la invitación registrada.
+    // Los ocupados quedan registrados desde el inicio
+    await callHistoryService.recordCallStarted(call);
+    for (const { userId } of available) {
+      await callHistoryService.recordInvite(callId, userId, 'ringing');
+    }
+    for (const userId of unavailable) {
+      await callHistoryService.recordInvite(callId, userId, 'busy');
+    }
+
+    // El host pudo cortar mientras se guardaba el historial
+    if (!this.activeCalls.has(callId)) return;
+
     // Notificar al host con el callId generado
     socket.emit('call_created', {
       callId,
@@ -150,12 +255,112 @@ class CallHandler {
       });
     }
 
-    // Notificar usuarios no disponibles
+    for (const { userId } of available) {
+      this.startRinging(call, userId);
+    }
+
+    // Sin socket: push prioritaria con el callId para unirse al abrir la app
+    if (offline.length > 0) {
+      pushService.notifyIncomingCall(call, offline, RING_TIMEOUT / 1000)
+        .catch(error => console.error('[CALL] Error enviando push de llamada entrante:', error));
+    }
+
+    // Notificar usuarios no disponibles (ocupados en otra llamada)
     if (unavailable.length > 0) {
       socket.emit('call_users_unavailable', { userIds: unavailable });
     }
 
-    console.log(`📞 Llamada ${callId} creada. Invitados: ${available.length}, No disponibles: ${unavailable.length}`);
+    console.log(`📞 Llamada ${callId} creada. Invitados: ${available.length} (${offline.length} por push), No disponibles: ${unavailable.length}`);
+  }
+
+  // Al conectar (p.ej. la app abierta desde el push) se reenvían las llamadas que siguen sonando
+  // y se avisa si el usuario tiene un lugar reservado para volver con call_rejoin
+  handleConnection(socket) {
+    const currentCall = this.getUserCall(socket.userId);
+    const seat = currentCall && currentCall.participants.get(socket.userId);
+    if (seat && seat.status === 'reconnecting') {
+      socket.emit('call_rejoin_available', {
+        callId: currentCall.callId,
+        expiresAt: seat.reconnectExpiresAt
+      });
+    }
+
+    for (const call of this.activeCalls.values()) {
+      if (!call.pendingInvites.has(socket.userId)) continue;
+
+      socket.emit('call_incoming', {
+        callId: call.callId,
+        callerId: call.hostId,
+        callerName: call.hostName,
+        isGroupCall: call.participants.size + call.pendingInvites.size > 2,
+        participantCount: call.participants.size + call.pendingInvites.size,
+        offer: call.offer,
+        callType: call.callType
+      });
+    }
+  }
+
+  // Iniciar el timeout de una invitación
+  startRinging(call, userId) {
+    this.stopRinging(call, userId);
+    const timer = setTimeout(() => this.handleRingTimeout(call.callId, userId), RING_TIMEOUT);
+    call.ringTimers.set(userId, timer);
+  }
+
+  stopRinging(call, userId) {
+    const timer = call.ringTimers.get(userId);
+    if (timer) {
+      clearTimeout(timer);
+      call.ringTimers.delete(userId);
+    }
+  }
+
+  // Nadie contestó a tiempo: llamada perdida para el invitado y aviso al host
+  handleRingTimeout(callId, userId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.pendingInvites.has(userId)) return;
+
+    console.log(`⏰ Invitación a usuario ${userId} en llamada ${callId} sin respuesta`);
+
+    call.ringTimers.delete(userId);
+    call.pendingInvites.delete(userId);
+    this.notifyMissed(call, userId);
+
+    this.getUserSockets(call.hostId).forEach(s => s.emit('call_participant_timeout', {
+      callId,
+      userId
+    }));
+
+    // Si nadie contestó y no queda nadie sonando, la llamada termina
+    if (call.participants.size === 1 && call.pendingInvites.size === 0) {
+      this.endCall(callId, 'no_answer');
+    }
+  }
+
+  // Registrar la invitación como perdida y detener el timbre en los dispositivos del invitado
+  notifyMissed(call, userId) {
+    call.missedInvites.add(userId);
+    callHistoryService.recordInviteOutcome(call.callId, userId, 'missed');
+
+    this.getUserSockets(userId).forEach(s => s.emit('call_missed', {
+      callId: call.callId,
+      callerId: call.hostId,
+      callerName: call.hostName,
+      callType: call.callType
+    }));
+  }
+
+  // Conversación asociada a la llamada: la indicada por el cliente (si participa)
+  // o la conversación directa en llamadas 1 a 1
+  async resolveCallConversation(callerId, targets, conversationId) {
+    if (conversationId) {
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, callerId);
+      return isParticipant ? conversationId : null;
+    }
+    if (targets.length === 1) {
+      return callHistoryService.findDirectConversation(callerId, targets[0]);
+    }
+    return null;
   }
 
   // Manejar aceptación de llamada
@@ -181,13 +386,29 @@ class CallHandler {
       return;
     }
 
-    console.log(`✅ Llamada aceptada: Usuario ${oderId} se une a llamada ${call.callId}`);
+    // Ya está en la llamada desde otro dispositivo: para cambiar de dispositivo se usa call_handoff
+    if (call.participants.has(oderId)) {
+      socket.emit('call_error', { message: 'Ya estás en esta llamada desde otro dispositivo' });
+      return;
+    }
+
+    // Solo puede entrar quien tiene una invitación pendiente (no vencida, rechazada ni cancelada)
+    if (!call.pendingInvites.has(oderId)) {
+      socket.emit('call_error', { message: 'No tienes una invitación a esta llamada' });
+      return;
+    }
+
+    console.log(`✅ Llamada aceptada: Usuario ${oderId} se une a llamada ${call.callId} (socket ${socket.id})`);
 
-    // Registrar al usuario como participante
+    // Registrar al usuario como participante con el dispositivo que aceptó
+    this.stopRinging(call, oderId);
     call.pendingInvites.delete(oderId);
-    call.participants.set(oderId, { oderId, status: 'connecting', joinedAt: Date.now() });
+    call.participants.set(oderId, { oderId, status: 'connecting', joinedAt: Date.now(), socketId: socket.id });
+    this.emitToOtherDevices(oderId, socket.id, 'call_answered_elsewhere', { callId: call.callId });
     this.userCalls.set(oderId, call.callId);
     call.status = 'active';
+    call.answeredAt = call.answeredAt || Date.now();
+    callHistoryService.recordJoined(call.callId, oderId);
 
     // Unir a la room de la llamada
     socket.join(`call_${call.callId}`);
@@ -211,6 +432,8 @@ class CallHandler {
       offer: call.offer,
       participants: Array.from(call.participants.keys())
     });
+
+    this.resumeHostMigration(call);
   }
 
   // Manejar envío de respuesta SDP
@@ -223,7 +446,8 @@ class CallHandler {
     const userId = socket.userId;
     const activeCallId = callId || this.userCalls.get(userId);
 
-    const targetSockets = this.getUserSockets(targetUserId);
+    const call = this.activeCalls.get(activeCallId);
+    const targetSockets = this.getSignalingSockets(call, targetUserId);
     targetSockets.forEach(targetSocket => {
       targetSocket.emit('call_answer', {
         answer,
@@ -233,7 +457,6 @@ class CallHandler {
     });
 
     // Actualizar estado del participante
-    const call = callId ? this.activeCalls.get(callId) : this.getUserCall(socket.userId);
     if (call && call.participants.has(socket.userId)) {
       call.participants.get(socket.userId).status = 'connected';
     }
@@ -245,7 +468,8 @@ class CallHandler {
 
     console.log(`📤 Enviando offer a usuario ${targetUserId} para llamada ${callId}`);
 
-    const targetSockets = this.getUserSockets(targetUserId);
+    const call = this.activeCalls.get(callId || this.userCalls.get(socket.userId));
+    const targetSockets = this.getSignalingSockets(call, targetUserId);
     targetSockets.forEach(targetSocket => {
       targetSocket.emit('call_offer', {
         offer,
@@ -257,7 +481,8 @@ class CallHandler {
 
   // Agregar participante a llamada en curso
   async handleAddParticipant(socket, data) {
-    const { callId, targetUserId } = data;
+    const { callId } = data;
+    const targetUserId = parseInt(data.targetUserId, 10);
     const oderId = socket.userId;
 
     const call = this.activeCalls.get(callId);
@@ -272,6 +497,12 @@ class CallHandler {
       return;
     }
 
+    const [callable] = await this.getCallableUsers(oderId, this.parseUserIds([targetUserId]), call.conversationId);
+    if (!callable) {
+      socket.emit('call_error', { message: 'No puedes invitar a este usuario' });
+      return;
+    }
+
     // Verificar que el nuevo usuario no está ya en la llamada
     if (call.participants.has(targetUserId) || call.pendingInvites.has(targetUserId)) {
       socket.emit('call_error', { message: 'El usuario ya está en la llamada o fue invitado' });
@@ -285,13 +516,17 @@ class CallHandler {
     }
 
     const targetSockets = this.getUserSockets(targetUserId);
-    if (targetSockets.length === 0) {
-      socket.emit('call_error', { message: 'El usuario no está disponible' });
-      return;
-    }
 
     // Agregar a pendientes
     call.pendingInvites.add(targetUserId);
+    this.startRinging(call, targetUserId);
+    callHistoryService.recordInvite(callId, targetUserId, 'ringing');
+
+    // Sin socket: suena por push
+    if (targetSockets.length === 0) {
+      pushService.notifyIncomingCall(call, [targetUserId], RING_TIMEOUT / 1000)
+        .catch(error => console.error('[CALL] Error enviando push de llamada entrante:', error));
+    }
 
     // Obtener nombres
     const inviterName = await this.getUserName(oderId);
@@ -342,10 +577,19 @@ class CallHandler {
 
     if (!call) return;
 
+    // Solo rechaza quien tiene una invitación pendiente, igual que en call_accept
+    if (!call.pendingInvites.has(oderId)) {
+      socket.emit('call_error', { message: 'No tienes una invitación a esta llamada' });
+      return;
+    }
+
     console.log(`❌ Llamada rechazada: Usuario ${oderId} rechazó llamada ${call.callId}`);
 
     // Remover de pendientes
+    this.stopRinging(call, oderId);
     call.pendingInvites.delete(oderId);
+    callHistoryService.recordInviteOutcome(call.callId, oderId, 'rejected');
+    this.emitToOtherDevices(oderId, socket.id, 'call_rejected_elsewhere', { callId: call.callId });
 
     // Notificar a participantes
     this.io.to(`call_${call.callId}`).emit('call_participant_rejected', {
@@ -372,10 +616,18 @@ class CallHandler {
 
     console.log(`📴 Usuario ${userId} salió de llamada ${callId}, razón: ${reason}`);
 
-    // Remover al usuario de participantes
+    // Remover al usuario de participantes (puede colgar desde cualquiera de sus dispositivos)
+    const activeSocket = this.getActiveSocket(call, userId);
+    if (call.participants.has(userId)) {
+      this.clearReconnect(call.participants.get(userId));
+    }
     call.participants.delete(userId);
     this.userCalls.delete(userId);
     socket.leave(`call_${callId}`);
+    if (activeSocket) {
+      activeSocket.leave(`call_${callId}`);
+    }
+    callHistoryService.recordLeft(callId, userId);
 
     // Notificar a otros participantes
     const userName = socket.userName || 'Usuario';
@@ -387,10 +639,95 @@ class CallHandler {
       reason
     });
 
-    // Si era el host o no quedan participantes suficientes, terminar llamada
-    if (userId === call.hostId || call.participants.size < 1) {
-      this.endCall(callId, userId === call.hostId ? 'host_left' : 'ended');
+    this.continueOrEndCall(call, userId, 'ended');
+  }
+
+  // Tras la salida de un participante: la llamada termina solo si quedan menos de dos
+  // participantes y nadie más está sonando; si salió el host, el rol pasa a otro
+  continueOrEndCall(call, leftUserId, endReason) {
+    const ringing = call.pendingInvites.size > 0;
+    if (call.participants.size === 0 || (call.participants.size < 2 && !ringing)) {
+      this.endCall(call.callId, endReason);
+      return;
+    }
+
+    if (leftUserId === call.hostId) {
+      this.migrateHost(call);
+    }
+  }
+
+  // El host pasa al participante conectado desde hace más tiempo. Si todos los que quedan
+  // están reconectando, la migración espera a que alguno vuelva (resumeHostMigration)
+  migrateHost(call) {
+    const candidates = Array.from(call.participants.entries())
+      .filter(([, participant]) => this.canHost(participant))
+      .sort((a, b) => a[1].joinedAt - b[1].joinedAt);
+
+    if (candidates.length === 0) {
+      call.hostMigrationPending = true;
+      console.log(`👑 Llamada ${call.callId}: sin participantes conectados, migración de host pendiente`);
+      return;
+    }
+
+    call.hostMigrationPending = false;
+    return this.setHost(call, candidates[0][0], 'host_left');
+  }
+
+  // Un lugar reservado por reconexión no puede recibir el rol de host
+  canHost(participant) {
+    return Boolean(participant) && participant.status !== 'reconnecting';
+  }
+
+  resumeHostMigration(call) {
+    if (call.hostMigrationPending) {
+      this.migrateHost(call);
+    }
+  }
+
+  async setHost(call, newHostId, reason) {
+    const previousHostId = call.hostId;
+    call.hostId = newHostId;
+    call.hostName = await this.getUserName(newHostId);
+
+    this.io.to(`call_${call.callId}`).emit('call_host_changed', {
+      callId: call.callId,
+      hostId: newHostId,
+      hostName: call.hostName,
+      previousHostId,
+      reason
+    });
+
+    console.log(`👑 Llamada ${call.callId}: host ${previousHostId} -> ${newHostId} (${reason})`);
+  }
+
+  // Transferir el rol de host a otro participante (solo el host actual)
+  async handleCallTransferHost(socket, data) {
+    const userId = socket.userId;
+    const targetUserId = parseInt(data && data.targetUserId, 10);
+    const callId = (data && data.callId) || this.userCalls.get(userId);
+    const call = callId ? this.activeCalls.get(callId) : null;
+
+    if (!call || !call.participants.has(userId)) {
+      socket.emit('call_error', { message: 'No estás en esta llamada' });
+      return;
+    }
+
+    if (call.hostId !== userId) {
+      socket.emit('call_error', { message: 'Solo el host puede transferir el rol' });
+      return;
+    }
+
+    if (isNaN(targetUserId) || targetUserId === userId || !call.participants.has(targetUserId)) {
+      socket.emit('call_error', { message: 'El usuario no es participante de esta llamada' });
+      return;
+    }
+
+    if (!this.canHost(call.participants.get(targetUserId))) {
+      socket.emit('call_error', { message: 'El usuario está reconectando; intenta cuando vuelva' });
+      return;
     }
+
+    await this.setHost(call, targetUserId, 'transferred');
   }
 
   // Terminar llamada completamente
@@ -404,25 +741,108 @@ class CallHandler {
     this.io.to(`call_${callId}`).emit('call_ended', { callId, reason });
 
     // Limpiar participantes
-    for (const [oderId] of call.participants) {
+    for (const [oderId, participant] of call.participants) {
+      this.clearReconnect(participant);
       this.userCalls.delete(oderId);
       const sockets = this.getUserSockets(oderId);
       sockets.forEach(s => s.leave(`call_${callId}`));
     }
 
-    // Limpiar pendientes
+    // Quienes seguían sonando pierden la llamada
     for (const oderId of call.pendingInvites) {
-      // Por si acaso estaban en proceso
+      this.stopRinging(call, oderId);
+      this.notifyMissed(call, oderId);
     }
+    call.pendingInvites.clear();
 
     this.activeCalls.delete(callId);
+
+    callHistoryService.recordCallEnded(callId, reason).then(() => {
+      if (call.missedInvites.size > 0 && !call.answeredAt) {
+        this.postMissedCallMessage(call);
+      }
+    });
+  }
+
+  // Mensaje de sistema "llamada perdida" en la conversación asociada
+  async postMissedCallMessage(call) {
+    if (!call.conversationId) return;
+
+    try {
+      const label = call.callType === 'video' ? 'Videollamada perdida' : 'Llamada perdida';
+      const message = await this.chatHandler.saveMessage(
+        call.conversationId,
+        call.hostId,
+        this.chatHandler.sanitizeContent(`📞 ${label} de ${call.hostName}`),
+        'system'
+      );
+      this.chatHandler.emitNewMessage(call.conversationId, message);
+    } catch (error) {
+      console.error('[CALL HISTORY] Error publicando llamada perdida:', error);
+    }
+  }
+
+  // Historial de llamadas recientes del usuario (respuesta vía ack)
+  async handleGetCallHistory(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const limit = Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+      const before = data && data.before ? new Date(data.before) : null;
+      if (before && isNaN(before.getTime())) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'before inválido' });
+        return;
+      }
+
+      const calls = await callHistoryService.getRecentCalls(socket.userId, { before, limit: limit + 1 });
+      const hasMore = calls.length > limit;
+      const page = calls.slice(0, limit);
+
+      reply({
+        success: true,
+        calls: page,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].startedAt : null
+      });
+    } catch (error) {
+      console.error('[CALL HISTORY] Error consultando historial:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al consultar historial de llamadas' });
+    }
+  }
+
+  // Cantidad de llamadas perdidas sin ver (respuesta vía ack)
+  async handleGetMissedCallsCount(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const count = await callHistoryService.countUnseenMissed(socket.userId);
+      reply({ success: true, count });
+    } catch (error) {
+      console.error('[CALL HISTORY] Error contando llamadas perdidas:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al contar llamadas perdidas' });
+    }
+  }
+
+  // Marcar las llamadas perdidas como vistas (en todos los dispositivos del usuario)
+  async handleMarkMissedCallsSeen(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      await callHistoryService.markMissedSeen(socket.userId);
+      this.getUserSockets(socket.userId).forEach(s => s.emit('missed_calls_count', { count: 0 }));
+      reply({ success: true });
+    } catch (error) {
+      console.error('[CALL HISTORY] Error marcando llamadas perdidas:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al marcar llamadas perdidas' });
+    }
   }
 
   // Manejar ICE candidate
   handleIceCandidate(socket, data) {
     const { targetUserId, candidate, callId } = data;
 
-    const targetSockets = this.getUserSockets(targetUserId);
+    const call = this.activeCalls.get(callId || this.userCalls.get(socket.userId));
+    const targetSockets = this.getSignalingSockets(call, targetUserId);
     targetSockets.forEach(targetSocket => {
       targetSocket.emit('call_ice_candidate', {
         candidate,
@@ -432,6 +852,64 @@ class CallHandler {
     });
   }
 
+  // Pasar la llamada en curso a otro dispositivo del mismo usuario
+  handleCallHandoff(socket, data) {
+    const userId = socket.userId;
+    const callId = (data && data.callId) || this.userCalls.get(userId);
+    const call = callId ? this.activeCalls.get(callId) : null;
+
+    if (!call || !call.participants.has(userId)) {
+      socket.emit('call_error', { message: 'No estás en esta llamada' });
+      return;
+    }
+
+    const participant = call.participants.get(userId);
+    if (participant.socketId === socket.id) {
+      return;
+    }
+
+    const previousSocket = this.getActiveSocket(call, userId);
+    const wasReconnecting = participant.status === 'reconnecting';
+    this.clearReconnect(participant);
+    participant.socketId = socket.id;
+    participant.status = 'connecting';
+
+    if (previousSocket) {
+      previousSocket.leave(`call_${call.callId}`);
+      previousSocket.emit('call_handed_off', { callId: call.callId });
+    }
+
+    // Si el lugar estaba reservado, los demás salen del estado "reconectando" igual que con call_rejoin
+    if (wasReconnecting) {
+      socket.to(`call_${call.callId}`).emit('call_participant_reconnected', {
+        callId: call.callId,
+        userId,
+        iceRestart: { offererId: userId }
+      });
+    }
+
+    // Los demás cierran la conexión con el dispositivo anterior y esperan offers del nuevo
+    socket.to(`call_${call.callId}`).emit('call_participant_device_changed', {
+      callId: call.callId,
+      userId
+    });
+    socket.join(`call_${call.callId}`);
+
+    // El nuevo dispositivo negocia con call_offer_send hacia cada participante
+    socket.emit('call_handoff_ready', {
+      callId: call.callId,
+      hostId: call.hostId,
+      callType: call.callType,
+      participants: Array.from(call.participants.keys()).filter(id => id !== userId)
+    });
+
+    console.log(`🔀 Usuario ${userId} pasó la llamada ${call.callId} al socket ${socket.id}`);
+
+    if (wasReconnecting) {
+      this.resumeHostMigration(call);
+    }
+  }
+
   // Obtener info de la llamada actual
   handleGetCallInfo(socket) {
     const oderId = socket.userId;
@@ -444,13 +922,15 @@ class CallHandler {
 
     const participants = [];
     for (const [id, data] of call.participants) {
-      participants.push({ userId: id, ...data });
+      const { socketId, reconnectTimer, ...info } = data;
+      participants.push({ userId: id, ...info });
     }
 
     socket.emit('call_info', {
       inCall: true,
       callId: call.callId,
       isHost: call.hostId === oderId,
+      isActiveDevice: Boolean(call.participants.get(oderId) && call.participants.get(oderId).socketId === socket.id),
       hostId: call.hostId,
       hostName: call.hostName,
       participants,
@@ -525,21 +1005,78 @@ class CallHandler {
     const call = this.activeCalls.get(callId);
     if (!call) return;
 
-    // Verificar si el usuario tiene otros sockets conectados
-    const remainingSockets = this.getUserSockets(userId).filter(s => s.id !== socket.id);
+    // Solo cuenta la desconexión del dispositivo con el que está en la llamada
+    const participant = call.participants.get(userId);
+    if (!participant || participant.socketId !== socket.id) {
+      return;
+    }
+
+    console.log(`📴 Usuario ${userId} desconectado de llamada ${callId}, esperando reconexión`);
+
+    // Reservar el lugar durante la ventana de gracia
+    participant.status = 'reconnecting';
+    participant.socketId = null;
+    participant.reconnectExpiresAt = new Date(Date.now() + RECONNECT_GRACE);
+    participant.reconnectTimer = setTimeout(() => this.handleReconnectExpired(callId, userId), RECONNECT_GRACE);
+
+    socket.to(`call_${callId}`).emit('call_participant_reconnecting', {
+      callId,
+      userId,
+      expiresAt: participant.reconnectExpiresAt
+    });
+  }
+
+  // Recuperar el lugar en la llamada tras una desconexión breve
+  handleCallRejoin(socket, data) {
+    const userId = socket.userId;
+    const callId = (data && data.callId) || this.userCalls.get(userId);
+    const call = callId ? this.activeCalls.get(callId) : null;
+    const participant = call && call.participants.get(userId);
 
-    if (remainingSockets.length > 0) {
-      // Tiene otros sockets, mantener en llamada
+    if (!participant || participant.status !== 'reconnecting') {
+      socket.emit('call_error', { message: 'No hay una llamada a la que volver' });
       return;
     }
 
-    console.log(`📴 Usuario ${userId} desconectado de llamada ${callId}`);
+    this.clearReconnect(participant);
+    participant.socketId = socket.id;
+    participant.status = 'connecting';
+    socket.join(`call_${callId}`);
 
-    // Remover de participantes
+    // ICE restart: el que vuelve envía offers nuevas (call_offer_send) y los demás responden,
+    // así solo un lado inicia la renegociación
+    const peers = Array.from(call.participants.keys()).filter(id => id !== userId);
+    socket.to(`call_${callId}`).emit('call_participant_reconnected', {
+      callId,
+      userId,
+      iceRestart: { offererId: userId }
+    });
+    socket.emit('call_rejoined', {
+      callId,
+      hostId: call.hostId,
+      callType: call.callType,
+      participants: peers,
+      iceRestart: { offerTo: peers }
+    });
+
+    console.log(`🔄 Usuario ${userId} volvió a la llamada ${callId}`);
+
+    this.resumeHostMigration(call);
+  }
+
+  // Venció la ventana de gracia: el participante sale de la llamada
+  handleReconnectExpired(callId, userId) {
+    const call = this.activeCalls.get(callId);
+    const participant = call && call.participants.get(userId);
+    if (!participant || participant.status !== 'reconnecting') return;
+
+    console.log(`📴 Usuario ${userId} no volvió a la llamada ${callId}`);
+
+    participant.reconnectTimer = null;
     call.participants.delete(userId);
     this.userCalls.delete(userId);
+    callHistoryService.recordLeft(callId, userId);
 
-    // Notificar a otros
     this.io.to(`call_${callId}`).emit('call_participant_left', {
       callId,
       oderId: userId,
@@ -547,10 +1084,15 @@ class CallHandler {
       reason: 'disconnected'
     });
 
-    // Si era el host o no quedan suficientes participantes, terminar
-    if (userId === call.hostId || call.participants.size < 1) {
-      this.endCall(callId, 'disconnected');
+    this.continueOrEndCall(call, userId, 'disconnected');
+  }
+
+  clearReconnect(participant) {
+    if (participant.reconnectTimer) {
+      clearTimeout(participant.reconnectTimer);
+      participant.reconnectTimer = null;
     }
+    participant.reconnectExpiresAt = null;
   }
 }
 
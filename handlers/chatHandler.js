@@ -1,10 +1,50 @@
 const db = require('../config/database');
 const pushService = require('../services/pushService');
+const attachmentService = require('../services/attachmentService');
+const richTextService = require('../services/richTextService');
+const notificationPreferencesService = require('../services/notificationPreferencesService');
+
+// Tipos de mensaje que puede enviar un cliente (system y bot los genera solo el servidor)
+const CLIENT_MESSAGE_TYPES = ['text', 'image', 'file', 'audio', 'video'];
+
+// Máximo de adjuntos por mensaje
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Máximo de mensajes por reenvío
+const MAX_FORWARD_MESSAGES = 20;
+
+// Máximo de mensajes fijados por conversación
+const MAX_PINNED_MESSAGES = 50;
+
+// Máximo de emojis distintos por mensaje
+const MAX_REACTION_EMOJIS = 20;
+
+// Tiempo de espera del ack de entrega de new_message (ms)
+const DELIVERY_ACK_TIMEOUT = 10000;
+
+// Tamaño de página por defecto y máximo para historial por socket
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Máximo de mensajes con recibo individual por cada mark_read
+const MAX_READ_RECEIPTS_PER_MARK = 1000;
+
+// Máximo de eventos a reenviar por conversación al reconectar (más que esto => refetch)
+const MAX_SYNC_EVENTS = 200;
+
+// Máximo de conversaciones por solicitud de sync
+const MAX_SYNC_CONVERSATIONS = 100;
 
 class ChatHandler {
   constructor(io) {
     this.io = io;
     this.userSockets = new Map(); // userId -> Set of socket ids
+    this.commandHandler = null; // se asigna con setCommandHandler
+  }
+
+  // Registro de comandos "/nombre" que se ejecutan en lugar de guardarse como mensaje
+  setCommandHandler(commandHandler) {
+    this.commandHandler = commandHandler;
   }
 
   // Registrar usuario conectado
@@ -17,15 +57,19 @@ class ChatHandler {
     }
     this.userSockets.get(userId).add(socket.id);
 
-    // Actualizar estado online en DB
+    // Actualizar estado online en DB (la notificación de presencia la hace PresenceHandler)
     await this.setUserOnline(userId, socket.id);
 
-    // Notificar a todos que el usuario está online
-    this.io.emit('user_online', { userId, timestamp: new Date() });
-
     // Unir al usuario a sus conversaciones
     await this.joinUserConversations(socket, userId);
 
+    // Reenviar lo perdido si el cliente envió su último mensaje visto en el handshake
+    // (sin await para no retrasar el registro de eventos del socket)
+    const handshakeSync = socket.handshake.auth && socket.handshake.auth.sync;
+    if (Array.isArray(handshakeSync) && handshakeSync.length > 0) {
+      this.handleSync(socket, { conversations: handshakeSync });
+    }
+
     console.log(`Usuario ${userId} conectado (socket: ${socket.id})`);
   }
 
@@ -41,7 +85,6 @@ class ChatHandler {
       if (this.userSockets.get(userId).size === 0) {
         this.userSockets.delete(userId);
         await this.setUserOffline(userId);
-        this.io.emit('user_offline', { userId, timestamp: new Date() });
       }
     }
 
@@ -49,16 +92,29 @@ class ChatHandler {
   }
 
   // Enviar mensaje
-  async handleSendMessage(socket, data) {
+  // Con clientMessageId el envío es idempotente; la respuesta va por ack si el cliente la pide
+  async handleSendMessage(socket, data, callback) {
+    const fail = (code, message) => this.replyError(socket, callback, code, message);
+
     try {
       console.log(`[SEND_MESSAGE] Recibido de usuario ${socket.userId}:`, JSON.stringify(data));
 
-      const { conversationId, content, messageType = 'text' } = data;
+      const { conversationId, messageType = 'text', clientMessageId = null } = data;
       const senderId = socket.userId;
 
       if (!conversationId) {
         console.error(`[SEND_MESSAGE] ERROR: conversationId es undefined. Data recibida:`, data);
-        socket.emit('error', { message: 'conversationId es requerido' });
+        fail('INVALID_REQUEST', 'conversationId es requerido');
+        return;
+      }
+
+      if (clientMessageId !== null && (typeof clientMessageId !== 'string' || clientMessageId.length === 0 || clientMessageId.length > 64)) {
+        fail('INVALID_REQUEST', 'clientMessageId inválido');
+        return;
+      }
+
+      if (!this.isClientMessageType(messageType)) {
+        fail('INVALID_REQUEST', 'Tipo de mensaje inválido');
         return;
       }
 
@@ -67,197 +123,1920 @@ class ChatHandler {
       console.log(`[SEND_MESSAGE] Usuario ${senderId} es participante de conv ${conversationId}: ${isParticipant}`);
 
       if (!isParticipant) {
-        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        fail('FORBIDDEN', 'No tienes acceso a esta conversación');
         return;
       }
 
-      // Sanitizar contenido
-      const sanitizedContent = this.sanitizeContent(content);
-
-      // Guardar mensaje en DB
-      const message = await this.saveMessage(conversationId, senderId, sanitizedContent, messageType);
-      console.log(`[SEND_MESSAGE] Mensaje guardado con ID: ${message.id}`);
-
-      // Ver cuántos sockets están en la sala
-      const room = this.io.sockets.adapter.rooms.get(`conversation_${conversationId}`);
-      const socketsInRoom = room ? room.size : 0;
-      console.log(`[SEND_MESSAGE] Emitiendo a conversation_${conversationId} (${socketsInRoom} sockets en sala)`);
+      // Reintento de un envío ya guardado: confirmar sin duplicar ni re-emitir
+      if (clientMessageId) {
+        const existing = await this.getMessageByClientId(senderId, conversationId, clientMessageId);
+        if (existing) {
+          console.log(`[SEND_MESSAGE] Reintento de clientMessageId ${clientMessageId}, mensaje ${existing.id}`);
+          this.replyMessage(callback, conversationId, existing, true);
+          return;
+        }
+      }
 
-      // Emitir mensaje a todos los participantes de la conversación
-      this.io.to(`conversation_${conversationId}`).emit('new_message', {
-        ...message,
-        conversationId
-      });
+      if (this.commandHandler && messageType === 'text' && this.commandHandler.isCommand(data.content)) {
+        const result = await this.commandHandler.execute(socket, conversationId, data.content, clientMessageId);
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
+        return;
+      }
 
-      console.log(`[SEND_MESSAGE] Mensaje emitido exitosamente`);
+      const prepared = await this.prepareOutgoingMessage(conversationId, senderId, data);
+      if (prepared.error) {
+        fail(prepared.error.code, prepared.error.message);
+        return;
+      }
 
-      // Enviar push notifications a usuarios offline
-      await this.sendPushToOfflineParticipants(conversationId, senderId, message);
+      const { message, duplicate } = await this.deliverMessage(conversationId, senderId, prepared, { messageType, clientMessageId });
+      this.replyMessage(callback, conversationId, message, duplicate);
 
     } catch (error) {
       console.error('[SEND_MESSAGE] Error:', error);
-      socket.emit('error', { message: 'Error al enviar mensaje' });
+      fail('INTERNAL_ERROR', 'Error al enviar mensaje');
     }
   }
 
-  // Enviar push a participantes offline
-  async sendPushToOfflineParticipants(conversationId, senderId, message) {
-    try {
-      // Obtener todos los participantes excepto el remitente
-      const [participants] = await db.execute(
-        'SELECT user_id FROM conversation_participants WHERE conversation_id = ? AND user_id != ?',
-        [conversationId, senderId]
-      );
+  isClientMessageType(messageType) {
+    return CLIENT_MESSAGE_TYPES.includes(messageType);
+  }
 
-      if (participants.length === 0) {
-        return;
+  // Validar contenido, adjuntos, cita e hilo de un mensaje saliente
+  // Retorna { error: { code, message } } o los datos listos para deliverMessage
+  async prepareOutgoingMessage(conversationId, senderId, data) {
+    const { content, replyToMessageId, threadRootId, attachmentIds = [] } = data;
+
+    // Validar adjuntos: subidos por el remitente a esta conversación y aún sin mensaje
+    if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      return { error: { code: 'INVALID_REQUEST', message: `Máximo ${MAX_ATTACHMENTS_PER_MESSAGE} adjuntos por mensaje` } };
+    }
+    const uniqueAttachmentIds = [...new Set(attachmentIds)];
+    const attachments = await attachmentService.getAttachableAttachments(uniqueAttachmentIds, conversationId, senderId);
+    if (attachments.length !== uniqueAttachmentIds.length) {
+      return { error: { code: 'NOT_FOUND', message: 'Uno o más adjuntos no son válidos' } };
+    }
+
+    // Validar mensaje citado y/o raíz del hilo (deben ser de la misma conversación)
+    let replyTo = null;
+    if (replyToMessageId) {
+      replyTo = await this.getParentMessage(conversationId, replyToMessageId);
+      if (!replyTo) {
+        return { error: { code: 'NOT_FOUND', message: 'El mensaje citado no existe en esta conversación' } };
       }
+    }
 
-      // Filtrar usuarios que estan offline
-      const offlineUserIds = [];
-      for (const p of participants) {
-        if (!this.isUserOnline(p.user_id)) {
-          offlineUserIds.push(p.user_id);
+    let threadRoot = null;
+    if (threadRootId) {
+      threadRoot = await this.getParentMessage(conversationId, threadRootId);
+      // Una respuesta dentro de un hilo apunta siempre a la raíz del hilo
+      if (threadRoot && threadRoot.thread_root_id) {
+        threadRoot = await this.getParentMessage(conversationId, threadRoot.thread_root_id);
+      }
+      if (!threadRoot) {
+        return { error: { code: 'NOT_FOUND', message: 'El hilo no existe en esta conversación' } };
+      }
+    }
+
+    // Sanitizar contenido
+    const sanitizedContent = this.sanitizeContent(content);
+    if (!sanitizedContent && attachments.length === 0) {
+      return { error: { code: 'INVALID_REQUEST', message: 'El mensaje está vacío' } };
+    }
+
+    return { content: sanitizedContent, attachments, replyTo, threadRoot };
+  }
+
+  // Guardar, emitir y notificar un mensaje ya validado por prepareOutgoingMessage
+  // Retorna { message, duplicate }
+  // forwardedFrom: { messageId, senderId, senderName, createdAt } del mensaje original si es un reenvío;
+  // sus adjuntos se copian recién con el mensaje guardado para no dejar copias sueltas si falla
+  // onSaved: se llama con el mensaje apenas queda guardado, antes de emitirlo
+  async deliverMessage(conversationId, senderId, prepared, { messageType = 'text', clientMessageId = null, forwardedFrom = null, onSaved = null } = {}) {
+    const { content, replyTo = null, threadRoot = null } = prepared;
+    let { attachments = [] } = prepared;
+
+    // Guardar mensaje en DB
+    let message;
+    try {
+      message = await this.saveMessage(conversationId, senderId, content, messageType, {
+        replyToMessageId: replyTo ? replyTo.id : null,
+        threadRootId: threadRoot ? threadRoot.id : null,
+        clientMessageId,
+        forwardedFrom
+      });
+    } catch (error) {
+      // Dos reintentos simultáneos: el índice único (sender_id, conversation_id, client_message_id) deja pasar solo uno
+      if (clientMessageId && error.code === 'ER_DUP_ENTRY') {
+        const existing = await this.getMessageByClientId(senderId, conversationId, clientMessageId);
+        if (existing) {
+          return { message: existing, duplicate: true };
         }
       }
+      throw error;
+    }
+    console.log(`[SEND_MESSAGE] Mensaje guardado con ID: ${message.id}`);
+    message.clientMessageId = clientMessageId;
+
+    if (onSaved) {
+      await onSaved(message);
+    }
+
+    if (forwardedFrom) {
+      attachments = await attachmentService.copyForForward(forwardedFrom.messageId, conversationId, senderId, message.id);
+    } else {
+      await attachmentService.linkToMessage(attachments.map(a => a.id), message.id);
+    }
+    message.attachments = attachments.map(a => attachmentService.toPublic(a));
 
-      if (offlineUserIds.length > 0) {
-        console.log(`[SEND_MESSAGE] Enviando push a ${offlineUserIds.length} usuarios offline`);
-        await pushService.notifyNewChatMessage(message, conversationId, offlineUserIds);
+    // Menciones @usuario sobre el texto normalizado (un reenvío no vuelve a mencionar a nadie)
+    let mentions = [];
+    if (!forwardedFrom) {
+      const participants = await this.getConversationParticipants(conversationId);
+      mentions = this.extractMentions(content, participants.filter(p => p.user_id !== senderId));
+      if (mentions.length > 0) {
+        await this.saveMentions(message.id, mentions.map(m => m.userId));
       }
-    } catch (error) {
-      console.error('[SEND_MESSAGE] Error enviando push:', error);
     }
+    message.mentions = mentions;
+
+    if (replyTo) {
+      message.replyTo = this.buildMessagePreview(replyTo);
+    }
+
+    if (forwardedFrom) {
+      message.forwarded = forwardedFrom;
+    }
+
+    // Ver cuántos sockets están en la sala
+    const room = this.io.sockets.adapter.rooms.get(`conversation_${conversationId}`);
+    const socketsInRoom = room ? room.size : 0;
+    console.log(`[SEND_MESSAGE] Emitiendo a conversation_${conversationId} (${socketsInRoom} sockets en sala)`);
+
+    // Emitir mensaje a todos los participantes de la conversación
+    this.emitNewMessage(conversationId, message);
+
+    console.log(`[SEND_MESSAGE] Mensaje emitido exitosamente`);
+
+    // Actualizar contador de respuestas del hilo
+    if (threadRoot) {
+      const thread = await this.incrementThreadReplyCount(threadRoot.id);
+      this.io.to(`conversation_${conversationId}`).emit('thread_updated', {
+        conversationId,
+        threadRootId: threadRoot.id,
+        replyCount: thread.thread_reply_count,
+        lastReplyAt: thread.thread_last_reply_at,
+        lastReplyBy: senderId
+      });
+    }
+
+    // Avisar a los mencionados en todos sus sockets, aunque no tengan la conversación abierta
+    this.notifyMentions(conversationId, senderId, message);
+
+    // Enviar push notifications a usuarios offline (sin esperar a Expo para no demorar el ack;
+    // sendPushToOfflineParticipants captura sus propios errores)
+    this.sendPushToOfflineParticipants(conversationId, senderId, message);
+
+    return { message, duplicate: false };
   }
 
-  // Indicador de escritura
-  handleTyping(socket, data) {
-    const { conversationId, isTyping } = data;
-    socket.to(`conversation_${conversationId}`).emit('typing', {
-      userId: socket.userId,
-      userName: socket.userName,
-      conversationId,
-      isTyping
+  // Confirmar al remitente el mensaje guardado
+  replyMessage(callback, conversationId, message, duplicate) {
+    if (typeof callback !== 'function') return;
+    callback({
+      success: true,
+      duplicate,
+      message: { ...message, conversationId, clientMessageId: message.client_message_id || null }
     });
   }
 
-  // Marcar mensajes como leídos
-  async handleMarkRead(socket, data) {
+  // Error estructurado: por ack si el cliente lo pidió, si no como evento 'error'
+  replyError(socket, callback, code, message) {
+    if (typeof callback === 'function') {
+      callback({ success: false, code, error: message });
+      return;
+    }
+    socket.emit('error', { message, code });
+  }
+
+  // Editar mensaje propio
+  async handleEditMessage(socket, data) {
     try {
-      const { conversationId } = data;
+      const { messageId, content } = data;
       const userId = socket.userId;
 
-      await this.markConversationRead(conversationId, userId);
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
+
+      const message = await this.getMessageById(messageId);
+      if (!message || !(await this.isMessageVisible(message, userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
 
-      // Notificar a otros participantes
-      socket.to(`conversation_${conversationId}`).emit('messages_read', {
+      // Solo el remitente puede editar su mensaje
+      if (message.sender_id !== userId) {
+        socket.emit('error', { message: 'Solo puedes editar tus propios mensajes' });
+        return;
+      }
+
+      const conversationId = message.conversation_id;
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      const sanitizedContent = this.sanitizeContent(content);
+      if (!sanitizedContent) {
+        socket.emit('error', { message: 'El contenido no puede estar vacío' });
+        return;
+      }
+
+      // Sin cambios reales, no generar revisión
+      if (sanitizedContent === message.content) {
+        return;
+      }
+
+      const edited = await this.updateMessageContent(message, sanitizedContent, userId);
+      console.log(`[EDIT_MESSAGE] Mensaje ${messageId} editado por usuario ${userId}`);
+
+      const { mentions, added } = await this.updateMentions(edited);
+
+      this.io.to(`conversation_${conversationId}`).emit('message_edited', {
         conversationId,
-        userId,
-        timestamp: new Date()
+        messageId: edited.id,
+        content: edited.content,
+        editedAt: edited.edited_at,
+        editedBy: userId,
+        mentions
       });
 
+      // Solo se avisa a quienes la edición mencionó por primera vez
+      this.notifyMentions(conversationId, userId, { ...edited, mentions: added });
+
     } catch (error) {
-      console.error('Error marcando como leído:', error);
+      console.error('[EDIT_MESSAGE] Error:', error);
+      socket.emit('error', { message: 'Error al editar mensaje' });
     }
   }
 
-  // Unirse a una conversación específica
-  async handleJoinConversation(socket, data) {
-    console.log(`[JOIN_CONVERSATION] Recibido de usuario ${socket.userId}:`, JSON.stringify(data));
-
-    const { conversationId } = data;
-    const userId = socket.userId;
+  // Obtener historial de ediciones de un mensaje
+  async handleGetMessageRevisions(socket, data) {
+    try {
+      const { messageId } = data;
+      const userId = socket.userId;
 
-    if (!conversationId) {
-      console.error(`[JOIN_CONVERSATION] ERROR: conversationId undefined. Data:`, data);
-      return;
-    }
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
 
-    const isParticipant = await this.checkParticipant(conversationId, userId);
-    console.log(`[JOIN_CONVERSATION] Usuario ${userId} es participante: ${isParticipant}`);
+      // Eliminados, ocultos o vencidos no exponen su contenido ni sus revisiones
+      const message = await this.getMessageById(messageId);
+      if (!message || !(await this.isMessageVisible(message, userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
 
-    if (isParticipant) {
-      socket.join(`conversation_${conversationId}`);
-      socket.emit('joined_conversation', { conversationId });
+      const isParticipant = await this.checkParticipant(message.conversation_id, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
 
-      // Verificar cuántos sockets hay en la sala ahora
-      const room = this.io.sockets.adapter.rooms.get(`conversation_${conversationId}`);
-      console.log(`[JOIN_CONVERSATION] Usuario ${userId} unido a conversation_${conversationId}. Total en sala: ${room ? room.size : 0}`);
-    }
-  }
+      const revisions = await this.getMessageRevisions(messageId);
 
-  // ----- Funciones auxiliares de base de datos -----
+      socket.emit('message_revisions', {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        currentContent: message.content,
+        revisions
+      });
 
-  async setUserOnline(userId, socketId) {
-    try {
-      await db.execute(
-        `INSERT INTO user_online_status (user_id, is_online, last_seen, socket_id)
-         VALUES (?, 1, NOW(), ?)
-         ON DUPLICATE KEY UPDATE is_online = 1, last_seen = NOW(), socket_id = ?`,
-        [userId, socketId, socketId]
-      );
     } catch (error) {
-      console.error('Error setting user online:', error);
+      console.error('[MESSAGE_REVISIONS] Error:', error);
+      socket.emit('error', { message: 'Error al obtener historial de ediciones' });
     }
   }
 
-  async setUserOffline(userId) {
+  // Eliminar mensaje ("para mí" o "para todos")
+  async handleDeleteMessage(socket, data) {
     try {
-      await db.execute(
-        `UPDATE user_online_status SET is_online = 0, last_seen = NOW(), socket_id = NULL WHERE user_id = ?`,
-        [userId]
-      );
+      const { messageId, scope = 'everyone' } = data;
+      const userId = socket.userId;
+
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
+
+      if (scope !== 'me' && scope !== 'everyone') {
+        socket.emit('error', { message: 'scope inválido' });
+        return;
+      }
+
+      const message = await this.getMessageById(messageId);
+      if (!message) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const conversationId = message.conversation_id;
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      // "Para mí": ocultar solo para este usuario y avisar a sus otros dispositivos
+      if (scope === 'me') {
+        await this.hideMessageForUser(messageId, userId);
+        this.emitToUser(userId, 'message_deleted', {
+          conversationId,
+          messageId: message.id,
+          deletedBy: userId,
+          scope
+        });
+        return;
+      }
+
+      // "Para todos": solo el remitente o un admin de la conversación
+      if (message.sender_id !== userId) {
+        const isAdmin = await this.checkConversationAdmin(conversationId, userId);
+        if (!isAdmin) {
+          socket.emit('error', { message: 'No tienes permiso para eliminar este mensaje' });
+          return;
+        }
+      }
+
+      if (!message.deleted_at) {
+        await this.softDeleteMessage(messageId, userId);
+        console.log(`[DELETE_MESSAGE] Mensaje ${messageId} eliminado por usuario ${userId}`);
+
+        if (message.thread_root_id) {
+          await this.removeThreadReply(conversationId, message.thread_root_id);
+        }
+      }
+
+      this.io.to(`conversation_${conversationId}`).emit('message_deleted', {
+        conversationId,
+        messageId: message.id,
+        deletedBy: message.deleted_by || userId,
+        scope
+      });
+
     } catch (error) {
-      console.error('Error setting user offline:', error);
+      console.error('[DELETE_MESSAGE] Error:', error);
+      socket.emit('error', { message: 'Error al eliminar mensaje' });
     }
   }
 
-  async checkParticipant(conversationId, userId) {
+  // Historial paginado por cursor (before/after messageId), respuesta vía ack
+  async handleFetchMessages(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
     try {
-      const [rows] = await db.execute(
-        'SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
-        [conversationId, userId]
-      );
-      return rows.length > 0;
+      const { conversationId, before = null, after = null } = data || {};
+      const limit = this.parseLimit(data && data.limit);
+      const userId = socket.userId;
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      if (before && after) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Usa before o after, no ambos' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      const rows = await this.getMessagesPage(conversationId, userId, { before, after, limit: limit + 1 });
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+
+      // La consulta viene en el orden del cursor; el cliente siempre recibe orden cronológico
+      const messages = after ? page : page.reverse();
+      await this.prepareMessages(messages);
+
+      reply({
+        success: true,
+        conversationId,
+        messages,
+        hasMore,
+        oldestId: messages.length > 0 ? messages[0].id : null,
+        newestId: messages.length > 0 ? messages[messages.length - 1].id : null
+      });
+
     } catch (error) {
-      console.error('Error checking participant:', error);
-      return false;
+      console.error('[FETCH_MESSAGES] Error:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al obtener mensajes' });
     }
   }
 
-  async saveMessage(conversationId, senderId, content, messageType) {
+  // Reenviar eventos perdidos desde el último mensaje visto en cada conversación
+  // data.conversations: [{ conversationId, lastMessageId?, lastSeenAt? }]
+  async handleSync(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
     try {
-      const [result] = await db.execute(
-        `INSERT INTO messages (conversation_id, sender_id, content, message_type)
-         VALUES (?, ?, ?, ?)`,
-        [conversationId, senderId, content, messageType]
-      );
+      const entries = data && Array.isArray(data.conversations) ? data.conversations : [];
 
-      // Actualizar timestamp de conversación
-      await db.execute(
-        'UPDATE conversations SET updated_at = NOW() WHERE id = ?',
-        [conversationId]
-      );
+      if (entries.length > MAX_SYNC_CONVERSATIONS) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: `Máximo ${MAX_SYNC_CONVERSATIONS} conversaciones por sync` });
+        return;
+      }
 
-      // Obtener el mensaje completo con datos del remitente
-      const [messages] = await db.execute(
-        `SELECT m.*, u.name as sender_name
-         FROM messages m
-         JOIN users u ON u.id = m.sender_id
-         WHERE m.id = ?`,
-        [result.insertId]
-      );
+      const results = [];
+      for (const entry of entries) {
+        results.push(await this.syncConversation(socket, entry || {}));
+      }
+
+      reply({ success: true, conversations: results });
 
-      return messages[0];
     } catch (error) {
-      console.error('Error saving message:', error);
-      throw error;
+      console.error('[SYNC] Error:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al sincronizar' });
     }
   }
 
-  async markConversationRead(conversationId, userId) {
-    try {
-      await db.execute(
+  // Reenvía en orden new_message, message_edited, message_deleted y messages_read
+  async syncConversation(socket, entry) {
+    const { conversationId, lastMessageId = null, lastSeenAt = null } = entry;
+    const userId = socket.userId;
+
+    if (!conversationId || (!lastMessageId && !lastSeenAt)) {
+      return { conversationId, status: 'invalid' };
+    }
+
+    const isParticipant = await this.checkParticipant(conversationId, userId);
+    if (!isParticipant) {
+      return { conversationId, status: 'forbidden' };
+    }
+
+    // Punto de corte: fecha del último mensaje visto o la marca de tiempo del cliente
+    let since = lastSeenAt ? new Date(lastSeenAt) : null;
+    if (lastMessageId) {
+      const lastSeen = await this.getMessageById(lastMessageId);
+      if (!lastSeen || String(lastSeen.conversation_id) !== String(conversationId)) {
+        return this.requestRefetch(socket, conversationId, 'unknown_cursor');
+      }
+      since = lastSeen.created_at;
+    }
+
+    if (!since || isNaN(since.getTime())) {
+      return { conversationId, status: 'invalid' };
+    }
+
+    const missed = await this.getMessagesSince(conversationId, userId, lastMessageId, since, MAX_SYNC_EVENTS + 1);
+    if (missed.length > MAX_SYNC_EVENTS) {
+      return this.requestRefetch(socket, conversationId, 'too_many');
+    }
+
+    await this.prepareMessages(missed);
+    const events = missed.map(m => ({
+      at: m.created_at,
+      event: 'new_message',
+      payload: { ...m, conversationId, replayed: true }
+    }));
+    events.push(...await this.getConversationChangesSince(conversationId, userId, lastMessageId, since));
+
+    if (events.length > MAX_SYNC_EVENTS) {
+      return this.requestRefetch(socket, conversationId, 'too_many');
+    }
+
+    events.sort((a, b) => new Date(a.at) - new Date(b.at));
+    for (const { event, payload } of events) {
+      socket.emit(event, payload);
+    }
+
+    socket.emit('sync_complete', { conversationId, replayed: events.length });
+    return { conversationId, status: 'ok', replayed: events.length };
+  }
+
+  // Indicar al cliente que debe recargar la conversación completa
+  requestRefetch(socket, conversationId, reason) {
+    socket.emit('sync_refetch_required', { conversationId, reason });
+    return { conversationId, status: 'refetch', reason };
+  }
+
+  // Abrir un hilo: valida acceso, une a la sala del hilo y devuelve la raíz
+  async handleJoinThread(socket, data) {
+    try {
+      const { threadRootId } = data || {};
+      const userId = socket.userId;
+
+      if (!threadRootId) {
+        socket.emit('error', { message: 'threadRootId es requerido' });
+        return;
+      }
+
+      const root = await this.getMessageById(threadRootId);
+      if (!root || root.thread_root_id || !(await this.isMessageVisible(root, userId))) {
+        socket.emit('error', { message: 'Hilo no encontrado' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(root.conversation_id, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      socket.join(`thread_${root.id}`);
+      await this.prepareMessages([root]);
+
+      socket.emit('joined_thread', {
+        conversationId: root.conversation_id,
+        threadRootId: root.id,
+        root,
+        replyCount: root.thread_reply_count || 0,
+        lastReplyAt: root.thread_last_reply_at || null
+      });
+
+    } catch (error) {
+      console.error('[JOIN_THREAD] Error:', error);
+      socket.emit('error', { message: 'Error al abrir el hilo' });
+    }
+  }
+
+  // Salir de la sala de un hilo
+  handleLeaveThread(socket, data) {
+    const { threadRootId } = data || {};
+    if (threadRootId) {
+      socket.leave(`thread_${threadRootId}`);
+    }
+  }
+
+  // Obtener respuestas de un hilo (paginadas hacia atrás)
+  async handleFetchThread(socket, data) {
+    try {
+      const { threadRootId, before = null, limit: requestedLimit } = data || {};
+      const limit = this.parseLimit(requestedLimit);
+      const userId = socket.userId;
+
+      if (!threadRootId) {
+        socket.emit('error', { message: 'threadRootId es requerido' });
+        return;
+      }
+
+      // Un hilo cuya raíz fue eliminada, expiró u ocultó el usuario no se puede consultar
+      const root = await this.getMessageById(threadRootId);
+      if (!root || root.thread_root_id || !(await this.isMessageVisible(root, userId))) {
+        socket.emit('error', { message: 'Hilo no encontrado' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(root.conversation_id, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      // Se pide un elemento extra para saber si hay más páginas
+      const rows = await this.getThreadReplies(root.id, userId, before, limit + 1);
+      const hasMore = rows.length > limit;
+      const replies = rows.slice(0, limit).reverse();
+      await this.prepareMessages([root, ...replies]);
+
+      socket.emit('thread_messages', {
+        conversationId: root.conversation_id,
+        threadRootId: root.id,
+        root,
+        replies,
+        hasMore
+      });
+
+    } catch (error) {
+      console.error('[FETCH_THREAD] Error:', error);
+      socket.emit('error', { message: 'Error al obtener el hilo' });
+    }
+  }
+
+  // Agregar reacción a un mensaje
+  async handleAddReaction(socket, data) {
+    try {
+      const { messageId, emoji } = data;
+      const userId = socket.userId;
+
+      const message = await this.getReactableMessage(socket, messageId, emoji);
+      if (!message) return;
+
+      // Limitar emojis distintos por mensaje (reaccionar con uno existente siempre se permite)
+      const emojis = await this.getMessageReactionEmojis(message.id);
+      if (!emojis.includes(emoji) && emojis.length >= MAX_REACTION_EMOJIS) {
+        socket.emit('error', { message: `Máximo ${MAX_REACTION_EMOJIS} reacciones distintas por mensaje` });
+        return;
+      }
+
+      await this.saveReaction(message.id, userId, emoji);
+      await this.broadcastReactions(message);
+
+    } catch (error) {
+      console.error('[ADD_REACTION] Error:', error);
+      socket.emit('error', { message: 'Error al agregar reacción' });
+    }
+  }
+
+  // Quitar reacción de un mensaje
+  async handleRemoveReaction(socket, data) {
+    try {
+      const { messageId, emoji } = data;
+      const userId = socket.userId;
+
+      const message = await this.getReactableMessage(socket, messageId, emoji);
+      if (!message) return;
+
+      await this.deleteReaction(message.id, userId, emoji);
+      await this.broadcastReactions(message);
+
+    } catch (error) {
+      console.error('[REMOVE_REACTION] Error:', error);
+      socket.emit('error', { message: 'Error al quitar reacción' });
+    }
+  }
+
+  // Valida datos de reacción y acceso; emite el error y retorna null si no es válido
+  async getReactableMessage(socket, messageId, emoji) {
+    if (!messageId || !this.isValidEmoji(emoji)) {
+      socket.emit('error', { message: 'messageId y emoji válidos son requeridos' });
+      return null;
+    }
+
+    const message = await this.getMessageById(messageId);
+    if (!message || !(await this.isMessageVisible(message, socket.userId))) {
+      socket.emit('error', { message: 'Mensaje no encontrado' });
+      return null;
+    }
+
+    const isParticipant = await this.checkParticipant(message.conversation_id, socket.userId);
+    if (!isParticipant) {
+      socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+      return null;
+    }
+
+    return message;
+  }
+
+  // Emitir el resumen de reacciones del mensaje a la conversación
+  async broadcastReactions(message) {
+    const summaries = await this.getReactionSummaries([message.id]);
+    this.io.to(`conversation_${message.conversation_id}`).emit('message_reactions_updated', {
+      conversationId: message.conversation_id,
+      messageId: message.id,
+      reactions: summaries.get(message.id) || []
+    });
+  }
+
+  // Reenviar uno o más mensajes a otra conversación, respuesta vía ack
+  // data: { messageIds: [], targetConversationId, clientMessageId? }
+  async handleForwardMessage(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { targetConversationId, clientMessageId = null } = data || {};
+      const messageIds = Array.isArray(data && data.messageIds)
+        ? [...new Set(data.messageIds.map(id => parseInt(id, 10)).filter(id => id > 0))]
+        : [];
+
+      if (!targetConversationId || messageIds.length === 0) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'messageIds y targetConversationId son requeridos' });
+        return;
+      }
+
+      if (messageIds.length > MAX_FORWARD_MESSAGES) {
+        reply({ success: false, code: 'LIMIT_REACHED', error: `Máximo ${MAX_FORWARD_MESSAGES} mensajes por reenvío` });
+        return;
+      }
+
+      // Cada mensaje reenviado usa "<clientMessageId>_<messageId>", que debe caber en 64 caracteres
+      if (clientMessageId !== null && (typeof clientMessageId !== 'string' || clientMessageId.length === 0 || clientMessageId.length > 40)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'clientMessageId inválido' });
+        return;
+      }
+
+      const canWrite = await this.checkParticipant(targetConversationId, userId);
+      if (!canWrite) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a la conversación destino' });
+        return;
+      }
+
+      // Validar todos los originales antes de enviar nada
+      const originals = [];
+      for (const messageId of messageIds.sort((a, b) => a - b)) {
+        const original = await this.getMessageById(messageId);
+        if (!original || !(await this.isMessageVisible(original, userId)) || original.message_type === 'system') {
+          reply({ success: false, code: 'NOT_FOUND', error: `Mensaje ${messageId} no encontrado` });
+          return;
+        }
+
+        const canRead = await this.checkParticipant(original.conversation_id, userId);
+        if (!canRead) {
+          reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso al mensaje original' });
+          return;
+        }
+        originals.push(original);
+      }
+
+      const forwarded = [];
+      for (const original of originals) {
+        const itemClientId = clientMessageId ? `${clientMessageId}_${original.id}` : null;
+
+        // Reintento del mismo reenvío: no duplicar
+        const existing = itemClientId ? await this.getMessageByClientId(userId, targetConversationId, itemClientId) : null;
+        if (existing) {
+          forwarded.push(existing);
+          continue;
+        }
+
+        const { message } = await this.deliverMessage(targetConversationId, userId, { content: original.content }, {
+          messageType: original.message_type === 'bot' ? 'text' : original.message_type,
+          clientMessageId: itemClientId,
+          forwardedFrom: await this.getForwardOrigin(original)
+        });
+        forwarded.push(message);
+      }
+
+      console.log(`[FORWARD] Usuario ${userId} reenvió ${forwarded.length} mensajes a conversación ${targetConversationId}`);
+      reply({
+        success: true,
+        conversationId: targetConversationId,
+        messages: forwarded.map(m => ({ id: m.id, forwardedFromMessageId: m.forwarded_message_id, createdAt: m.created_at }))
+      });
+
+    } catch (error) {
+      console.error('[FORWARD] Error:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al reenviar mensajes' });
+    }
+  }
+
+  // Origen de un reenvío; reenviar un reenvío conserva el autor y la fecha del primer mensaje
+  async getForwardOrigin(original) {
+    if (!original.forwarded_message_id) {
+      return {
+        messageId: original.id,
+        senderId: original.sender_id,
+        senderName: original.sender_name,
+        createdAt: original.created_at
+      };
+    }
+
+    const names = await this.getUserNames([original.forwarded_sender_id]);
+    return {
+      messageId: original.forwarded_message_id,
+      senderId: original.forwarded_sender_id,
+      senderName: names.get(original.forwarded_sender_id) || null,
+      createdAt: original.forwarded_created_at
+    };
+  }
+
+  // Fijar mensaje en la conversación
+  async handlePinMessage(socket, data, callback) {
+    const fail = (code, message) => this.replyError(socket, callback, code, message);
+
+    try {
+      const { messageId } = data || {};
+      const userId = socket.userId;
+
+      if (!messageId) {
+        fail('INVALID_REQUEST', 'messageId es requerido');
+        return;
+      }
+
+      const message = await this.getMessageById(messageId);
+      if (!message || !(await this.isMessageVisible(message, userId))) {
+        fail('NOT_FOUND', 'Mensaje no encontrado');
+        return;
+      }
+
+      const conversationId = message.conversation_id;
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        fail('FORBIDDEN', 'No tienes acceso a esta conversación');
+        return;
+      }
+
+      const pins = await this.getPinnedMessages(conversationId);
+      if (pins.some(p => p.messageId === message.id)) {
+        if (typeof callback === 'function') callback({ success: true, alreadyPinned: true });
+        return;
+      }
+
+      if (pins.length >= MAX_PINNED_MESSAGES) {
+        fail('LIMIT_REACHED', `Máximo ${MAX_PINNED_MESSAGES} mensajes fijados por conversación`);
+        return;
+      }
+
+      await this.savePin(conversationId, message.id, userId);
+
+      const pin = {
+        messageId: message.id,
+        pinnedBy: userId,
+        pinnedByName: socket.userName,
+        pinnedAt: new Date(),
+        message: this.buildMessagePreview(message)
+      };
+      this.io.to(`conversation_${conversationId}`).emit('message_pinned', { conversationId, ...pin });
+
+      console.log(`[PIN_MESSAGE] Usuario ${userId} fijó mensaje ${message.id} en conv ${conversationId}`);
+      if (typeof callback === 'function') callback({ success: true, pin });
+
+    } catch (error) {
+      console.error('[PIN_MESSAGE] Error:', error);
+      fail('INTERNAL_ERROR', 'Error al fijar mensaje');
+    }
+  }
+
+  // Desfijar mensaje (quien lo fijó o un admin de la conversación)
+  async handleUnpinMessage(socket, data, callback) {
+    const fail = (code, message) => this.replyError(socket, callback, code, message);
+
+    try {
+      const { messageId } = data || {};
+      const userId = socket.userId;
+
+      if (!messageId) {
+        fail('INVALID_REQUEST', 'messageId es requerido');
+        return;
+      }
+
+      const pin = await this.getPin(messageId);
+      if (!pin) {
+        fail('NOT_FOUND', 'El mensaje no está fijado');
+        return;
+      }
+
+      const conversationId = pin.conversation_id;
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        fail('FORBIDDEN', 'No tienes acceso a esta conversación');
+        return;
+      }
+
+      if (pin.pinned_by !== userId) {
+        const isAdmin = await this.checkConversationAdmin(conversationId, userId);
+        if (!isAdmin) {
+          fail('FORBIDDEN', 'Solo quien fijó el mensaje o un administrador puede desfijarlo');
+          return;
+        }
+      }
+
+      await this.deletePin(conversationId, pin.message_id);
+
+      this.io.to(`conversation_${conversationId}`).emit('message_unpinned', {
+        conversationId,
+        messageId: pin.message_id,
+        unpinnedBy: userId
+      });
+
+      console.log(`[PIN_MESSAGE] Usuario ${userId} desfijó mensaje ${pin.message_id} en conv ${conversationId}`);
+      if (typeof callback === 'function') callback({ success: true });
+
+    } catch (error) {
+      console.error('[UNPIN_MESSAGE] Error:', error);
+      fail('INTERNAL_ERROR', 'Error al desfijar mensaje');
+    }
+  }
+
+  // Consultar mensajes fijados de una conversación
+  async handleGetPinnedMessages(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const { conversationId } = data || {};
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(conversationId, socket.userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      reply({ success: true, conversationId, pinnedMessages: await this.getPinnedMessages(conversationId) });
+
+    } catch (error) {
+      console.error('[PINNED_MESSAGES] Error:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al obtener mensajes fijados' });
+    }
+  }
+
+  // Lista de entregados / vistos de un mensaje
+  async handleGetMessageReceipts(socket, data) {
+    try {
+      const { messageId } = data;
+      const userId = socket.userId;
+
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
+
+      const message = await this.getMessageById(messageId);
+      if (!message || !(await this.isMessageVisible(message, userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(message.conversation_id, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      const receipts = await this.getMessageReceipts(message.id);
+
+      socket.emit('message_receipts', {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        deliveredTo: receipts.map(r => ({ userId: r.user_id, userName: r.user_name, deliveredAt: r.delivered_at })),
+        seenBy: receipts
+          .filter(r => r.read_at)
+          .map(r => ({ userId: r.user_id, userName: r.user_name, readAt: r.read_at }))
+      });
+
+    } catch (error) {
+      console.error('[MESSAGE_RECEIPTS] Error:', error);
+      socket.emit('error', { message: 'Error al obtener recibos del mensaje' });
+    }
+  }
+
+  // Emitir new_message socket por socket, pidiendo ack de entrega a los destinatarios
+  emitNewMessage(conversationId, message) {
+    const payload = { ...message, conversationId };
+    const room = this.io.sockets.adapter.rooms.get(`conversation_${conversationId}`);
+    if (!room) return;
+
+    for (const socketId of room) {
+      const target = this.io.sockets.sockets.get(socketId);
+      if (!target) continue;
+
+      if (target.userId === message.sender_id) {
+        target.emit('new_message', payload);
+        continue;
+      }
+
+      target.timeout(DELIVERY_ACK_TIMEOUT).emit('new_message', payload, (err) => {
+        // Clientes sin soporte de ack simplemente no generan recibo de entrega
+        if (err) return;
+        this.handleDeliveryAck(conversationId, target.userId, message);
+      });
+    }
+  }
+
+  // Registrar entrega y avisar al remitente (solo la primera vez por usuario)
+  async handleDeliveryAck(conversationId, userId, message) {
+    const inserted = await this.markMessageDelivered(message.id, userId);
+    if (inserted) {
+      this.emitReceipts(conversationId, userId, [message], 'delivered');
+    }
+  }
+
+  // Emitir message_receipt a cada remitente afectado
+  emitReceipts(conversationId, userId, messages, status) {
+    const bySender = new Map();
+    for (const m of messages) {
+      if (!bySender.has(m.sender_id)) {
+        bySender.set(m.sender_id, []);
+      }
+      bySender.get(m.sender_id).push(m.id);
+    }
+
+    const timestamp = new Date();
+    for (const [senderId, messageIds] of bySender) {
+      this.emitToUser(senderId, 'message_receipt', {
+        conversationId,
+        messageIds,
+        userId,
+        status,
+        timestamp
+      });
+    }
+  }
+
+  // Enviar push a participantes offline
+  async sendPushToOfflineParticipants(conversationId, senderId, message) {
+    try {
+      // Obtener todos los participantes excepto el remitente
+      const [participants] = await db.execute(
+        'SELECT user_id FROM conversation_participants WHERE conversation_id = ? AND user_id != ?',
+        [conversationId, senderId]
+      );
+
+      if (participants.length === 0) {
+        return;
+      }
+
+      // Filtrar usuarios que estan offline
+      const offlineUserIds = [];
+      for (const p of participants) {
+        if (!this.isUserOnline(p.user_id)) {
+          offlineUserIds.push(p.user_id);
+        }
+      }
+
+      // Los mencionados reciben su propio push prioritario en lugar del genérico
+      const mentionedIds = new Set((message.mentions || []).map(m => m.userId));
+      const offlineMentionedIds = offlineUserIds.filter(id => mentionedIds.has(id));
+      // Silenciados y "solo menciones" no reciben el push genérico; la mención los atraviesa
+      const offlineOtherIds = await notificationPreferencesService.filterChatRecipients(
+        conversationId,
+        offlineUserIds.filter(id => !mentionedIds.has(id))
+      );
+
+      if (offlineMentionedIds.length > 0) {
+        console.log(`[SEND_MESSAGE] Enviando push de mención a ${offlineMentionedIds.length} usuarios offline`);
+        await pushService.notifyMention(message, conversationId, offlineMentionedIds);
+      }
+
+      if (offlineOtherIds.length > 0) {
+        console.log(`[SEND_MESSAGE] Enviando push a ${offlineOtherIds.length} usuarios offline`);
+        await pushService.notifyNewChatMessage(message, conversationId, offlineOtherIds);
+      }
+    } catch (error) {
+      console.error('[SEND_MESSAGE] Error enviando push:', error);
+    }
+  }
+
+  // Emitir 'mentioned' a cada usuario mencionado que esté conectado
+  notifyMentions(conversationId, senderId, message) {
+    for (const mention of message.mentions || []) {
+      this.emitToUser(mention.userId, 'mentioned', {
+        conversationId,
+        messageId: message.id,
+        threadRootId: message.thread_root_id || null,
+        mentionedBy: senderId,
+        mentionedByName: message.sender_name,
+        preview: this.buildMessagePreview(message),
+        timestamp: message.created_at
+      });
+    }
+  }
+
+  // Indicador de escritura (dentro de un hilo solo se avisa a quienes lo tienen abierto)
+  handleTyping(socket, data) {
+    const { conversationId, isTyping, threadRootId = null } = data;
+    const room = threadRootId ? `thread_${threadRootId}` : `conversation_${conversationId}`;
+    socket.to(room).emit('typing', {
+      userId: socket.userId,
+      userName: socket.userName,
+      conversationId,
+      threadRootId,
+      isTyping
+    });
+  }
+
+  // Marcar mensajes como leídos
+  async handleMarkRead(socket, data) {
+    try {
+      const { conversationId, upToMessageId = null } = data;
+      const userId = socket.userId;
+
+      if (!conversationId) {
+        socket.emit('error', { message: 'conversationId es requerido' });
+        return;
+      }
+
+      const isParticipant = await this.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        socket.emit('error', { message: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      let upTo = null;
+      if (upToMessageId) {
+        upTo = await this.getMessageById(upToMessageId);
+        if (!upTo || String(upTo.conversation_id) !== String(conversationId)) {
+          socket.emit('error', { message: 'Mensaje no encontrado' });
+          return;
+        }
+      }
+
+      // Recibos individuales (antes de mover last_read_at, que delimita lo no leído)
+      const readMessages = await this.markMessagesRead(conversationId, userId, upTo ? upTo.id : null);
+      await this.markConversationRead(conversationId, userId, upTo ? upTo.created_at : null);
+
+      // Notificar a otros participantes
+      socket.to(`conversation_${conversationId}`).emit('messages_read', {
+        conversationId,
+        userId,
+        upToMessageId: upTo ? upTo.id : null,
+        timestamp: new Date()
+      });
+
+      // Recibos incrementales para cada remitente
+      this.emitReceipts(conversationId, userId, readMessages, 'read');
+
+    } catch (error) {
+      console.error('Error marcando como leído:', error);
+    }
+  }
+
+  // Unirse a una conversación específica
+  async handleJoinConversation(socket, data) {
+    console.log(`[JOIN_CONVERSATION] Recibido de usuario ${socket.userId}:`, JSON.stringify(data));
+
+    const { conversationId } = data;
+    const userId = socket.userId;
+
+    if (!conversationId) {
+      console.error(`[JOIN_CONVERSATION] ERROR: conversationId undefined. Data:`, data);
+      return;
+    }
+
+    const isParticipant = await this.checkParticipant(conversationId, userId);
+    console.log(`[JOIN_CONVERSATION] Usuario ${userId} es participante: ${isParticipant}`);
+
+    if (isParticipant) {
+      socket.join(`conversation_${conversationId}`);
+
+      // Al abrir la conversación el cliente recibe los mensajes fijados actuales
+      const pinnedMessages = await this.getPinnedMessages(conversationId);
+      socket.emit('joined_conversation', { conversationId, pinnedMessages });
+
+      // Verificar cuántos sockets hay en la sala ahora
+      const room = this.io.sockets.adapter.rooms.get(`conversation_${conversationId}`);
+      console.log(`[JOIN_CONVERSATION] Usuario ${userId} unido a conversation_${conversationId}. Total en sala: ${room ? room.size : 0}`);
+    }
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  async setUserOnline(userId, socketId) {
+    try {
+      await db.execute(
+        `INSERT INTO user_online_status (user_id, is_online, last_seen, socket_id)
+         VALUES (?, 1, NOW(), ?)
+         ON DUPLICATE KEY UPDATE is_online = 1, last_seen = NOW(), socket_id = ?`,
+        [userId, socketId, socketId]
+      );
+    } catch (error) {
+      console.error('Error setting user online:', error);
+    }
+  }
+
+  async setUserOffline(userId) {
+    try {
+      await db.execute(
+        `UPDATE user_online_status SET is_online = 0, last_seen = NOW(), socket_id = NULL WHERE user_id = ?`,
+        [userId]
+      );
+    } catch (error) {
+      console.error('Error setting user offline:', error);
+    }
+  }
+
+  async checkParticipant(conversationId, userId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+        [conversationId, userId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking participant:', error);
+      return false;
+    }
+  }
+
+  async getConversationParticipants(conversationId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT cp.user_id, u.name
+         FROM conversation_participants cp
+         JOIN users u ON u.id = cp.user_id
+         WHERE cp.conversation_id = ?`,
+        [conversationId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting conversation participants:', error);
+      return [];
+    }
+  }
+
+  async checkConversationAdmin(conversationId, userId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT 1 FROM conversation_participants
+         WHERE conversation_id = ? AND user_id = ? AND role = 'admin'`,
+        [conversationId, userId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking conversation admin:', error);
+      return false;
+    }
+  }
+
+  async saveMessage(conversationId, senderId, content, messageType, options = {}) {
+    try {
+      const { replyToMessageId = null, threadRootId = null, clientMessageId = null, forwardedFrom = null } = options;
+
+      // expires_at según la política de retención vigente de la conversación
+      const [result] = await db.execute(
+        `INSERT INTO messages
+           (conversation_id, sender_id, content, content_format, message_type, reply_to_message_id, thread_root_id, client_message_id,
+            forwarded_message_id, forwarded_sender_id, forwarded_created_at, expires_at)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+           IF(c.retention_seconds IS NULL, NULL, DATE_ADD(NOW(), INTERVAL c.retention_seconds SECOND))
+         FROM conversations c
+         WHERE c.id = ?`,
+        [
+          conversationId, senderId, content, richTextService.CONTENT_FORMAT, messageType, replyToMessageId, threadRootId, clientMessageId,
+          forwardedFrom ? forwardedFrom.messageId : null,
+          forwardedFrom ? forwardedFrom.senderId : null,
+          forwardedFrom ? forwardedFrom.createdAt : null,
+          conversationId
+        ]
+      );
+
+      // Actualizar timestamp de conversación
+      await db.execute(
+        'UPDATE conversations SET updated_at = NOW() WHERE id = ?',
+        [conversationId]
+      );
+
+      // Obtener el mensaje completo con datos del remitente
+      const [messages] = await db.execute(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.id = ?`,
+        [result.insertId]
+      );
+
+      // Los clientes ocultan el mensaje localmente al vencer
+      messages[0].expiresAt = messages[0].expires_at;
+      return messages[0];
+    } catch (error) {
+      // El duplicado de clientMessageId lo resuelve handleSendMessage
+      if (error.code !== 'ER_DUP_ENTRY') {
+        console.error('Error saving message:', error);
+      }
+      throw error;
+    }
+  }
+
+  async getMessageById(messageId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.id = ?`,
+        [messageId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting message:', error);
+      return null;
+    }
+  }
+
+  // Mensajes posteriores al cursor (incluye respuestas de hilo, igual que en vivo)
+  async getMessagesSince(conversationId, userId, afterId, since, limit) {
+    const cursorClause = afterId ? 'AND m.id > ?' : 'AND m.created_at > ?';
+    const params = [conversationId, userId, afterId || since, String(limit)];
+
+    const [rows] = await db.execute(
+      `SELECT m.*, u.name as sender_name
+       FROM messages m
+       JOIN users u ON u.id = m.sender_id
+       WHERE m.conversation_id = ?
+         AND m.deleted_at IS NULL
+         AND (m.expires_at IS NULL OR m.expires_at > NOW())
+         AND NOT EXISTS (SELECT 1 FROM message_hidden mh WHERE mh.message_id = m.id AND mh.user_id = ?)
+         ${cursorClause}
+       ORDER BY m.id ASC
+       LIMIT ?`,
+      params
+    );
+    return rows;
+  }
+
+  // Ediciones, eliminaciones y lecturas ocurridas desde "since" sobre mensajes ya vistos
+  async getConversationChangesSince(conversationId, userId, lastMessageId, since) {
+    const events = [];
+    const seenClause = lastMessageId ? 'AND m.id <= ?' : 'AND m.created_at <= ?';
+    const seenParam = lastMessageId || since;
+
+    const [edited] = await db.execute(
+      `SELECT m.id, m.content, m.sender_id, m.edited_at
+       FROM messages m
+       WHERE m.conversation_id = ? AND m.edited_at > ? AND m.deleted_at IS NULL ${seenClause}`,
+      [conversationId, since, seenParam]
+    );
+    for (const m of edited) {
+      events.push({
+        at: m.edited_at,
+        event: 'message_edited',
+        payload: { conversationId, messageId: m.id, content: m.content, editedAt: m.edited_at, editedBy: m.sender_id, replayed: true }
+      });
+    }
+
+    const [deleted] = await db.execute(
+      `SELECT m.id, m.deleted_by, m.deleted_at, m.deleted_reason
+       FROM messages m
+       WHERE m.conversation_id = ? AND m.deleted_at > ? ${seenClause}`,
+      [conversationId, since, seenParam]
+    );
+    for (const m of deleted) {
+      const payload = { conversationId, messageId: m.id, deletedBy: m.deleted_by, scope: 'everyone', replayed: true };
+      if (m.deleted_reason) {
+        payload.reason = m.deleted_reason;
+      }
+      events.push({ at: m.deleted_at, event: 'message_deleted', payload });
+    }
+
+    // Mensajes ya vistos que expiraron y el barrido de retención aún no marcó como eliminados
+    const [expired] = await db.execute(
+      `SELECT m.id, m.expires_at
+       FROM messages m
+       WHERE m.conversation_id = ? AND m.deleted_at IS NULL
+         AND m.expires_at > ? AND m.expires_at <= NOW() ${seenClause}`,
+      [conversationId, since, seenParam]
+    );
+    for (const m of expired) {
+      events.push({
+        at: m.expires_at,
+        event: 'message_deleted',
+        payload: { conversationId, messageId: m.id, deletedBy: null, scope: 'everyone', reason: 'expired', replayed: true }
+      });
+    }
+
+    const [hidden] = await db.execute(
+      `SELECT mh.message_id, mh.hidden_at
+       FROM message_hidden mh
+       JOIN messages m ON m.id = mh.message_id
+       WHERE m.conversation_id = ? AND mh.user_id = ? AND mh.hidden_at > ? AND m.deleted_at IS NULL ${seenClause}`,
+      [conversationId, userId, since, seenParam]
+    );
+    for (const h of hidden) {
+      events.push({
+        at: h.hidden_at,
+        event: 'message_deleted',
+        payload: { conversationId, messageId: h.message_id, deletedBy: userId, scope: 'me', replayed: true }
+      });
+    }
+
+    const [reads] = await db.execute(
+      `SELECT user_id, last_read_at
+       FROM conversation_participants
+       WHERE conversation_id = ? AND user_id != ? AND last_read_at > ?`,
+      [conversationId, userId, since]
+    );
+    for (const r of reads) {
+      events.push({
+        at: r.last_read_at,
+        event: 'messages_read',
+        payload: { conversationId, userId: r.user_id, timestamp: r.last_read_at, replayed: true }
+      });
+    }
+
+    return events;
+  }
+
+  // Página de mensajes principales (sin respuestas de hilo) ordenada según el cursor
+  async getMessagesPage(conversationId, userId, { before = null, after = null, limit }) {
+    const params = [conversationId, userId];
+    let cursorClause = '';
+    let order = 'DESC';
+
+    if (before) {
+      cursorClause = 'AND m.id < ?';
+      params.push(before);
+    } else if (after) {
+      cursorClause = 'AND m.id > ?';
+      params.push(after);
+      order = 'ASC';
+    }
+    params.push(String(limit));
+
+    const [rows] = await db.execute(
+      `SELECT m.*, u.name as sender_name
+       FROM messages m
+       JOIN users u ON u.id = m.sender_id
+       WHERE m.conversation_id = ?
+         AND m.thread_root_id IS NULL
+         AND NOT EXISTS (SELECT 1 FROM message_hidden mh WHERE mh.message_id = m.id AND mh.user_id = ?)
+         ${cursorClause}
+       ORDER BY m.id ${order}
+       LIMIT ?`,
+      params
+    );
+    return rows;
+  }
+
+  // Recalcular las menciones de un mensaje editado (un reenvío no menciona a nadie)
+  // Retorna { mentions, added } con las menciones actuales y las nuevas respecto de las guardadas
+  async updateMentions(message) {
+    let mentions = [];
+    if (!message.forwarded_message_id) {
+      const participants = await this.getConversationParticipants(message.conversation_id);
+      mentions = this.extractMentions(message.content, participants.filter(p => p.user_id !== message.sender_id));
+    }
+
+    const previous = (await this.getMentionsByMessageIds([message.id])).get(message.id) || [];
+    const previousIds = new Set(previous.map(m => m.userId));
+    const currentIds = new Set(mentions.map(m => m.userId));
+
+    const added = mentions.filter(m => !previousIds.has(m.userId));
+    const removedIds = previous.filter(m => !currentIds.has(m.userId)).map(m => m.userId);
+
+    if (added.length > 0) {
+      await this.saveMentions(message.id, added.map(m => m.userId));
+    }
+    if (removedIds.length > 0) {
+      await this.deleteMentions(message.id, removedIds);
+    }
+    return { mentions, added };
+  }
+
+  async saveMentions(messageId, userIds) {
+    try {
+      const values = userIds.map(() => '(?, ?)').join(',');
+      await db.execute(
+        `INSERT IGNORE INTO message_mentions (message_id, user_id) VALUES ${values}`,
+        userIds.flatMap(userId => [messageId, userId])
+      );
+    } catch (error) {
+      console.error('Error saving mentions:', error);
+    }
+  }
+
+  async deleteMentions(messageId, userIds) {
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      await db.execute(
+        `DELETE FROM message_mentions WHERE message_id = ? AND user_id IN (${placeholders})`,
+        [messageId, ...userIds]
+      );
+    } catch (error) {
+      console.error('Error deleting mentions:', error);
+    }
+  }
+
+  // Menciones por mensaje: messageId -> [{ userId, name }]
+  async getMentionsByMessageIds(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    try {
+      const placeholders = messageIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT mm.message_id, mm.user_id, u.name
+         FROM message_mentions mm
+         JOIN users u ON u.id = mm.user_id
+         WHERE mm.message_id IN (${placeholders})`,
+        messageIds
+      );
+
+      for (const row of rows) {
+        if (!byMessage.has(row.message_id)) {
+          byMessage.set(row.message_id, []);
+        }
+        byMessage.get(row.message_id).push({ userId: row.user_id, name: row.name });
+      }
+    } catch (error) {
+      console.error('Error getting mentions:', error);
+    }
+
+    return byMessage;
+  }
+
+  // El clientMessageId es único por remitente y conversación
+  async getMessageByClientId(senderId, conversationId, clientMessageId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.sender_id = ? AND m.conversation_id = ? AND m.client_message_id = ?`,
+        [senderId, conversationId, clientMessageId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting message by client id:', error);
+      return null;
+    }
+  }
+
+  // Mensaje padre (cita o raíz de hilo) válido dentro de la conversación
+  async getParentMessage(conversationId, messageId) {
+    const parent = await this.getMessageById(messageId);
+    if (!parent || parent.deleted_at || String(parent.conversation_id) !== String(conversationId)) {
+      return null;
+    }
+    return parent;
+  }
+
+  // Descontar una respuesta eliminada o vencida del hilo y avisar a la conversación
+  async removeThreadReply(conversationId, threadRootId) {
+    const thread = await this.decrementThreadReplyCount(threadRootId);
+    if (!thread) return;
+
+    this.io.to(`conversation_${conversationId}`).emit('thread_updated', {
+      conversationId,
+      threadRootId,
+      replyCount: thread.thread_reply_count,
+      lastReplyAt: thread.thread_last_reply_at,
+      lastReplyBy: thread.last_reply_by
+    });
+  }
+
+  async incrementThreadReplyCount(threadRootId) {
+    try {
+      await db.execute(
+        `UPDATE messages
+         SET thread_reply_count = thread_reply_count + 1, thread_last_reply_at = NOW()
+         WHERE id = ?`,
+        [threadRootId]
+      );
+
+      const [rows] = await db.execute(
+        'SELECT thread_reply_count, thread_last_reply_at FROM messages WHERE id = ?',
+        [threadRootId]
+      );
+      return rows[0];
+    } catch (error) {
+      console.error('Error updating thread reply count:', error);
+      throw error;
+    }
+  }
+
+  // La última respuesta se recalcula con las que siguen vigentes
+  async decrementThreadReplyCount(threadRootId) {
+    try {
+      const [latest] = await db.execute(
+        `SELECT sender_id, created_at FROM messages
+         WHERE thread_root_id = ? AND deleted_at IS NULL
+         ORDER BY id DESC
+         LIMIT 1`,
+        [threadRootId]
+      );
+      const lastReply = latest[0] || null;
+
+      await db.execute(
+        `UPDATE messages
+         SET thread_reply_count = GREATEST(thread_reply_count - 1, 0), thread_last_reply_at = ?
+         WHERE id = ?`,
+        [lastReply ? lastReply.created_at : null, threadRootId]
+      );
+
+      const [rows] = await db.execute(
+        'SELECT thread_reply_count, thread_last_reply_at FROM messages WHERE id = ?',
+        [threadRootId]
+      );
+      if (rows.length === 0) return null;
+      return { ...rows[0], last_reply_by: lastReply ? lastReply.sender_id : null };
+    } catch (error) {
+      console.error('Error updating thread reply count:', error);
+      throw error;
+    }
+  }
+
+  async getThreadReplies(threadRootId, userId, before, limit) {
+    try {
+      const params = [threadRootId, userId];
+      let cursorClause = '';
+      if (before) {
+        cursorClause = 'AND m.id < ?';
+        params.push(before);
+      }
+      params.push(String(limit));
+
+      const [rows] = await db.execute(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.thread_root_id = ?
+           AND m.deleted_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM message_hidden mh WHERE mh.message_id = m.id AND mh.user_id = ?)
+           ${cursorClause}
+         ORDER BY m.id DESC
+         LIMIT ?`,
+        params
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting thread replies:', error);
+      return [];
+    }
+  }
+
+  async savePin(conversationId, messageId, userId) {
+    try {
+      await db.execute(
+        `INSERT IGNORE INTO pinned_messages (conversation_id, message_id, pinned_by, pinned_at)
+         VALUES (?, ?, ?, NOW())`,
+        [conversationId, messageId, userId]
+      );
+    } catch (error) {
+      console.error('Error pinning message:', error);
+      throw error;
+    }
+  }
+
+  async deletePin(conversationId, messageId) {
+    try {
+      await db.execute(
+        'DELETE FROM pinned_messages WHERE conversation_id = ? AND message_id = ?',
+        [conversationId, messageId]
+      );
+    } catch (error) {
+      console.error('Error unpinning message:', error);
+      throw error;
+    }
+  }
+
+  async getPin(messageId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT * FROM pinned_messages WHERE message_id = ?',
+        [messageId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error getting pin:', error);
+      return null;
+    }
+  }
+
+  // Fijados vigentes (los mensajes eliminados dejan de mostrarse), más recientes primero
+  async getPinnedMessages(conversationId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT pm.message_id, pm.pinned_by, pm.pinned_at, pu.name as pinned_by_name,
+                m.*, u.name as sender_name
+         FROM pinned_messages pm
+         JOIN messages m ON m.id = pm.message_id
+         JOIN users u ON u.id = m.sender_id
+         JOIN users pu ON pu.id = pm.pinned_by
+         WHERE pm.conversation_id = ? AND m.deleted_at IS NULL
+         ORDER BY pm.pinned_at DESC`,
+        [conversationId]
+      );
+
+      return rows.map(row => ({
+        messageId: row.message_id,
+        pinnedBy: row.pinned_by,
+        pinnedByName: row.pinned_by_name,
+        pinnedAt: row.pinned_at,
+        message: this.buildMessagePreview(row)
+      }));
+    } catch (error) {
+      console.error('Error getting pinned messages:', error);
+      return [];
+    }
+  }
+
+  async saveReaction(messageId, userId, emoji) {
+    try {
+      await db.execute(
+        `INSERT INTO message_reactions (message_id, user_id, emoji, created_at)
+         VALUES (?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE created_at = created_at`,
+        [messageId, userId, emoji]
+      );
+    } catch (error) {
+      console.error('Error saving reaction:', error);
+      throw error;
+    }
+  }
+
+  async deleteReaction(messageId, userId, emoji) {
+    try {
+      await db.execute(
+        'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?',
+        [messageId, userId, emoji]
+      );
+    } catch (error) {
+      console.error('Error deleting reaction:', error);
+      throw error;
+    }
+  }
+
+  async getMessageReactionEmojis(messageId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT DISTINCT emoji FROM message_reactions WHERE message_id = ?',
+        [messageId]
+      );
+      return rows.map(r => r.emoji);
+    } catch (error) {
+      console.error('Error getting reaction emojis:', error);
+      return [];
+    }
+  }
+
+  // Resumen agregado por mensaje: messageId -> [{ emoji, count, userIds }]
+  async getReactionSummaries(messageIds) {
+    const summaries = new Map();
+    if (messageIds.length === 0) return summaries;
+
+    try {
+      const placeholders = messageIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT message_id, emoji, user_id
+         FROM message_reactions
+         WHERE message_id IN (${placeholders})
+         ORDER BY created_at ASC, user_id ASC`,
+        messageIds
+      );
+
+      for (const row of rows) {
+        if (!summaries.has(row.message_id)) {
+          summaries.set(row.message_id, []);
+        }
+        const list = summaries.get(row.message_id);
+        let entry = list.find(r => r.emoji === row.emoji);
+        if (!entry) {
+          entry = { emoji: row.emoji, count: 0, userIds: [] };
+          list.push(entry);
+        }
+        entry.count++;
+        entry.userIds.push(row.user_id);
+      }
+    } catch (error) {
+      console.error('Error getting reaction summaries:', error);
+    }
+
+    return summaries;
+  }
+
+  // Agrega la vista previa del mensaje citado a una lista de mensajes cargados
+  async attachReplyPreviews(messages) {
+    const parentIds = [...new Set(messages.filter(m => m.reply_to_message_id).map(m => m.reply_to_message_id))];
+    if (parentIds.length === 0) return messages;
+
+    try {
+      const placeholders = parentIds.map(() => '?').join(',');
+      const [parents] = await db.execute(
+        `SELECT m.*, u.name as sender_name
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         WHERE m.id IN (${placeholders})`,
+        parentIds
+      );
+
+      const byId = new Map(parents.map(p => [p.id, p]));
+      for (const message of messages) {
+        const parent = byId.get(message.reply_to_message_id);
+        if (parent) {
+          message.replyTo = parent.deleted_at
+            ? { id: parent.id, deleted: true }
+            : this.buildMessagePreview(parent);
+        }
+      }
+    } catch (error) {
+      console.error('Error getting reply previews:', error);
+    }
+
+    return messages;
+  }
+
+  // Agrega el campo reactions a una lista de mensajes cargados
+  async attachReactions(messages) {
+    const summaries = await this.getReactionSummaries(messages.map(m => m.id));
+    for (const message of messages) {
+      message.reactions = summaries.get(message.id) || [];
+    }
+    return messages;
+  }
+
+  // Guarda la versión anterior en message_edits y actualiza el contenido
+  async updateMessageContent(message, newContent, editedBy) {
+    try {
+      await db.execute(
+        `INSERT INTO message_edits (message_id, previous_content, edited_by, edited_at)
+         VALUES (?, ?, ?, NOW())`,
+        [message.id, message.content, editedBy]
+      );
+
+      await db.execute(
+        'UPDATE messages SET content = ?, edited_at = NOW() WHERE id = ?',
+        [newContent, message.id]
+      );
+
+      return await this.getMessageById(message.id);
+    } catch (error) {
+      console.error('Error updating message content:', error);
+      throw error;
+    }
+  }
+
+  async getMessageRevisions(messageId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT me.id, me.previous_content as content, me.edited_by, me.edited_at
+         FROM message_edits me
+         WHERE me.message_id = ?
+         ORDER BY me.edited_at ASC, me.id ASC`,
+        [messageId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting message revisions:', error);
+      return [];
+    }
+  }
+
+  // El contenido y sus revisiones se borran; la fila queda para que sync reenvíe message_deleted
+  async softDeleteMessage(messageId, deletedBy) {
+    try {
+      await db.execute(
+        `UPDATE messages SET content = '', deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+        [deletedBy, messageId]
+      );
+      await db.execute('DELETE FROM message_edits WHERE message_id = ?', [messageId]);
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+
+  async hideMessageForUser(messageId, userId) {
+    try {
+      await db.execute(
+        `INSERT INTO message_hidden (message_id, user_id, hidden_at)
+         VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE hidden_at = hidden_at`,
+        [messageId, userId]
+      );
+    } catch (error) {
+      console.error('Error hiding message:', error);
+      throw error;
+    }
+  }
+
+  // Un mensaje es visible para el usuario si no fue eliminado, no venció y no lo ocultó "para mí"
+  async isMessageVisible(message, userId) {
+    if (message.deleted_at) return false;
+    if (message.expires_at && new Date(message.expires_at) <= new Date()) return false;
+    return !(await this.isMessageHiddenForUser(message.id, userId));
+  }
+
+  async isMessageHiddenForUser(messageId, userId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT 1 FROM message_hidden WHERE message_id = ? AND user_id = ?',
+        [messageId, userId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking hidden message:', error);
+      return false;
+    }
+  }
+
+  // userId -> nombre
+  async getUserNames(userIds) {
+    const names = new Map();
+    if (userIds.length === 0) return names;
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT id, name FROM users WHERE id IN (${placeholders})`,
+        userIds
+      );
+      for (const row of rows) {
+        names.set(row.id, row.name);
+      }
+    } catch (error) {
+      console.error('Error getting user names:', error);
+    }
+    return names;
+  }
+
+  // Sin readAt marca todo como leído; con readAt solo avanza hasta ese momento
+  async markConversationRead(conversationId, userId, readAt = null) {
+    try {
+      if (readAt) {
+        await db.execute(
+          `UPDATE conversation_participants SET last_read_at = GREATEST(COALESCE(last_read_at, ?), ?)
+           WHERE conversation_id = ? AND user_id = ?`,
+          [readAt, readAt, conversationId, userId]
+        );
+        return;
+      }
+
+      await db.execute(
         'UPDATE conversation_participants SET last_read_at = NOW() WHERE conversation_id = ? AND user_id = ?',
         [conversationId, userId]
       );
@@ -266,6 +2045,83 @@ class ChatHandler {
     }
   }
 
+  // Retorna true si el recibo de entrega es nuevo
+  async markMessageDelivered(messageId, userId) {
+    try {
+      const [result] = await db.execute(
+        `INSERT IGNORE INTO message_receipts (message_id, user_id, delivered_at)
+         VALUES (?, ?, NOW())`,
+        [messageId, userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error marking message delivered:', error);
+      return false;
+    }
+  }
+
+  // Marca como leídos los mensajes pendientes (hasta upToMessageId) y los retorna
+  async markMessagesRead(conversationId, userId, upToMessageId = null) {
+    try {
+      const params = [userId, userId, conversationId, userId];
+      let upToClause = '';
+      if (upToMessageId) {
+        upToClause = 'AND m.id <= ?';
+        params.push(upToMessageId);
+      }
+      params.push(String(MAX_READ_RECEIPTS_PER_MARK));
+
+      const [unread] = await db.execute(
+        `SELECT m.id, m.sender_id
+         FROM messages m
+         JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = ?
+         LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = ?
+         WHERE m.conversation_id = ?
+           AND m.sender_id != ?
+           AND m.deleted_at IS NULL
+           AND r.read_at IS NULL
+           AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+           ${upToClause}
+         ORDER BY m.id DESC
+         LIMIT ?`,
+        params
+      );
+
+      if (unread.length === 0) return [];
+
+      const values = unread.map(() => '(?, ?, NOW(), NOW())').join(',');
+      const valueParams = unread.flatMap(m => [m.id, userId]);
+      await db.execute(
+        `INSERT INTO message_receipts (message_id, user_id, delivered_at, read_at)
+         VALUES ${values}
+         ON DUPLICATE KEY UPDATE read_at = NOW(), delivered_at = COALESCE(delivered_at, NOW())`,
+        valueParams
+      );
+
+      return unread;
+    } catch (error) {
+      console.error('Error marking messages read:', error);
+      return [];
+    }
+  }
+
+  async getMessageReceipts(messageId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT r.user_id, u.name as user_name, r.delivered_at, r.read_at
+         FROM message_receipts r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.message_id = ?
+         ORDER BY COALESCE(r.read_at, r.delivered_at) ASC`,
+        [messageId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting message receipts:', error);
+      return [];
+    }
+  }
+
   async joinUserConversations(socket, userId) {
     try {
       const [conversations] = await db.execute(
@@ -281,17 +2137,9 @@ class ChatHandler {
     }
   }
 
+  // Validar y normalizar al formato de texto enriquecido (se guarda sin escapar HTML)
   sanitizeContent(content) {
-    if (!content) return '';
-    // Escapar HTML para prevenir XSS
-    return content
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;')
-      .trim()
-      .substring(0, 5000); // Limitar longitud
+    return richTextService.normalize(content);
   }
 
   // Obtener sockets de un usuario
@@ -299,6 +2147,124 @@ class ChatHandler {
     return this.userSockets.get(userId) || new Set();
   }
 
+  // Agrega el campo forwarded a los mensajes reenviados
+  async attachForwardedInfo(messages) {
+    const forwarded = messages.filter(m => m.forwarded_message_id);
+    if (forwarded.length === 0) return messages;
+
+    const names = await this.getUserNames([...new Set(forwarded.map(m => m.forwarded_sender_id))]);
+    for (const message of forwarded) {
+      message.forwarded = {
+        messageId: message.forwarded_message_id,
+        senderId: message.forwarded_sender_id,
+        senderName: names.get(message.forwarded_sender_id) || null,
+        createdAt: message.forwarded_created_at
+      };
+    }
+    return messages;
+  }
+
+  // Agrega el campo attachments a una lista de mensajes cargados
+  async attachAttachments(messages) {
+    try {
+      const byMessage = await attachmentService.getByMessageIds(messages.map(m => m.id));
+      for (const message of messages) {
+        message.attachments = message.deleted_at ? [] : (byMessage.get(message.id) || []);
+      }
+    } catch (error) {
+      console.error('Error getting attachments:', error);
+    }
+    return messages;
+  }
+
+  // Prepara mensajes cargados de DB para el cliente: oculta eliminados, agrega citas, adjuntos y reacciones
+  async prepareMessages(messages) {
+    const now = new Date();
+    for (const message of messages) {
+      // Un mensaje vencido que el barrido aún no eliminó se trata como eliminado
+      if (message.deleted_at || (message.expires_at && new Date(message.expires_at) <= now)) {
+        message.content = '';
+      }
+      message.expiresAt = message.expires_at || null;
+    }
+    await this.attachReplyPreviews(messages);
+    await this.attachForwardedInfo(messages);
+    await this.attachAttachments(messages);
+    await this.attachReactions(messages);
+
+    const mentions = await this.getMentionsByMessageIds(messages.map(m => m.id));
+    for (const message of messages) {
+      message.mentions = mentions.get(message.id) || [];
+    }
+    return messages;
+  }
+
+  // Buscar "@Nombre" de participantes en el texto; los nombres más largos tienen prioridad
+  // para que "@Ana María" no se resuelva como "@Ana"
+  extractMentions(content, participants) {
+    if (!content || !content.includes('@')) return [];
+
+    const text = content.toLowerCase();
+    const taken = [];
+    const mentions = new Map();
+    const sorted = participants
+      .filter(p => p.name)
+      .sort((a, b) => b.name.length - a.name.length);
+
+    for (const participant of sorted) {
+      const needle = `@${participant.name.toLowerCase()}`;
+      let index = text.indexOf(needle);
+
+      while (index !== -1) {
+        const end = index + needle.length;
+        const before = index === 0 ? '' : text[index - 1];
+        const after = text[end] || '';
+        const overlaps = taken.some(([s, e]) => index < e && end > s);
+
+        if (!overlaps && !/[\p{L}\p{N}_]/u.test(before) && !/[\p{L}\p{N}_]/u.test(after)) {
+          taken.push([index, end]);
+          mentions.set(participant.user_id, { userId: participant.user_id, name: participant.name });
+          break;
+        }
+        index = text.indexOf(needle, index + 1);
+      }
+    }
+
+    return Array.from(mentions.values());
+  }
+
+  // Limitar tamaño de página solicitado por el cliente
+  parseLimit(limit) {
+    return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  }
+
+  // Un emoji: texto corto, sin espacios ni caracteres de control
+  isValidEmoji(emoji) {
+    return typeof emoji === 'string'
+      && emoji.length > 0
+      && emoji.length <= 32
+      && !/[\s<>&"'\u0000-\u001f]/.test(emoji);
+  }
+
+  // Vista compacta de un mensaje para citas y respuestas
+  buildMessagePreview(message) {
+    const content = richTextService.toPlainText(message.content) || attachmentService.describe(message.attachments);
+    return {
+      id: message.id,
+      senderId: message.sender_id,
+      senderName: message.sender_name,
+      messageType: message.message_type,
+      content: content.length > 120 ? `${content.substring(0, 120)}…` : content
+    };
+  }
+
+  // Emitir un evento a todos los sockets de un usuario
+  emitToUser(userId, event, payload) {
+    for (const socketId of this.getUserSockets(userId)) {
+      this.io.to(socketId).emit(event, payload);
+    }
+  }
+
   // Verificar si usuario está online
   isUserOnline(userId) {
     return this.userSockets.has(userId) && this.userSockets.get(userId).size > 0;
@@ -0,0 +1,158 @@
+const builtinCommands = require('../commands');
+
+// Usuario con el que se publican los mensajes de bot (si no se configura, se usa quien ejecuta el comando)
+const BOT_USER_ID = parseInt(process.env.BOT_USER_ID, 10) || null;
+
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9_-]*)(?:\s+([\s\S]*))?$/i;
+
+// Tiempo durante el cual un reintento con el mismo clientMessageId no vuelve a ejecutar el comando
+const COMMAND_RETRY_WINDOW = 10 * 60 * 1000;
+
+class CommandHandler {
+  // handlers: otros handlers que los comandos pueden usar (call, scheduled, ...)
+  constructor(io, chatHandler, handlers = {}) {
+    this.io = io;
+    this.chatHandler = chatHandler;
+    this.handlers = { chat: chatHandler, ...handlers };
+    this.commands = new Map(); // nombre -> módulo de comando
+    this.invocations = new Map(); // `${userId}:${conversationId}:${clientMessageId}` -> { result (promesa), expiresAt }
+
+    for (const command of builtinCommands) {
+      this.register(command);
+    }
+  }
+
+  // Registrar un módulo de comando: { name, description, usage, execute(ctx) }
+  register(command) {
+    if (!command || !command.name || typeof command.execute !== 'function') {
+      throw new Error('Comando inválido: requiere name y execute');
+    }
+    this.commands.set(command.name.toLowerCase(), command);
+    console.log(`[COMMANDS] Comando /${command.name} registrado`);
+  }
+
+  // Un texto es comando solo si empieza con "/" y el nombre está registrado;
+  // cualquier otro texto (p.ej. "/home/usuario") se envía como mensaje normal
+  isCommand(content) {
+    const parsed = this.parse(content);
+    return Boolean(parsed && this.commands.has(parsed.name));
+  }
+
+  parse(content) {
+    if (typeof content !== 'string') return null;
+    const match = content.trim().match(COMMAND_PATTERN);
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+  }
+
+  // Ejecutar un comando enviado por send_message (no se guarda como mensaje).
+  // Con clientMessageId, un reintento devuelve el resultado original sin ejecutarlo de nuevo
+  async execute(socket, conversationId, content, clientMessageId = null) {
+    if (!clientMessageId) {
+      return this.run(socket, conversationId, content);
+    }
+
+    this.pruneInvocations();
+    const key = `${socket.userId}:${conversationId}:${clientMessageId}`;
+    const previous = this.invocations.get(key);
+    if (previous) {
+      console.log(`[COMMANDS] Reintento de clientMessageId ${clientMessageId}, comando no repetido`);
+      const result = await previous.result;
+      return { ...result, duplicate: true };
+    }
+
+    const result = this.run(socket, conversationId, content);
+    this.invocations.set(key, { result, expiresAt: Date.now() + COMMAND_RETRY_WINDOW });
+    return result;
+  }
+
+  async run(socket, conversationId, content) {
+    const { name, args } = this.parse(content);
+    const command = this.commands.get(name);
+    const ctx = this.createContext(socket, conversationId, name, args);
+
+    console.log(`[COMMANDS] Usuario ${socket.userId} ejecuta /${name} en conversación ${conversationId}`);
+
+    try {
+      await command.execute(ctx);
+    } catch (error) {
+      console.error(`[COMMANDS] Error ejecutando /${name}:`, error);
+      ctx.reply(`No se pudo ejecutar /${name}`);
+    }
+
+    return { conversationId, command: name, duplicate: false };
+  }
+
+  pruneInvocations() {
+    const now = Date.now();
+    for (const [key, invocation] of this.invocations) {
+      if (invocation.expiresAt <= now) {
+        this.invocations.delete(key);
+      }
+    }
+  }
+
+  // Contexto que recibe cada comando
+  createContext(socket, conversationId, name, args) {
+    return {
+      socket,
+      conversationId,
+      userId: socket.userId,
+      userName: socket.userName,
+      command: name,
+      args,
+      argv: this.splitArgs(args),
+      handlers: this.handlers,
+      listCommands: () => this.list(),
+      // Respuesta efímera: solo la ve el socket que ejecutó el comando
+      reply: (text) => {
+        socket.emit('command_response', {
+          conversationId,
+          command: name,
+          content: this.chatHandler.sanitizeContent(text),
+          ephemeral: true
+        });
+      },
+      // Mensaje de bot visible para toda la conversación (mismo flujo que send_message)
+      post: (text) => this.postBotMessage(conversationId, socket.userId, text)
+    };
+  }
+
+  async postBotMessage(conversationId, invokerId, text) {
+    const content = this.chatHandler.sanitizeContent(text);
+    const { message } = await this.chatHandler.deliverMessage(conversationId, BOT_USER_ID || invokerId, { content }, {
+      messageType: 'bot'
+    });
+    return message;
+  }
+
+  // Comandos disponibles para autocompletado
+  handleListCommands(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const prefix = data && typeof data.prefix === 'string' ? data.prefix.replace(/^\//, '').toLowerCase() : '';
+
+    reply({
+      success: true,
+      commands: this.list().filter(c => c.name.startsWith(prefix))
+    });
+  }
+
+  list() {
+    return Array.from(this.commands.values())
+      .map(c => ({ name: c.name, description: c.description || '', usage: c.usage || `/${c.name}` }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Separar argumentos respetando comillas: "a b" c -> ['a b', 'c']
+  splitArgs(args) {
+    const argv = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(args)) !== null) {
+      argv.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return argv;
+  }
+}
+
+module.exports = CommandHandler;
@@ -0,0 +1,434 @@
+const db = require('../config/database');
+const richTextService = require('../services/richTextService');
+
+// Máximo de participantes que se pueden agregar por solicitud
+const MAX_PARTICIPANTS_PER_REQUEST = 50;
+
+class ConversationHandler {
+  constructor(io, chatHandler) {
+    this.io = io;
+    this.chatHandler = chatHandler;
+  }
+
+  // Crear conversación directa o grupal
+  // data: { type: 'direct'|'group', participantIds: [], name?, projectId? }
+  async handleCreateConversation(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { type = 'group', name = null, projectId = null } = data || {};
+      const participantIds = this.parseUserIds(data && data.participantIds).filter(id => id !== userId);
+
+      if (type !== 'direct' && type !== 'group') {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Tipo de conversación inválido' });
+        return;
+      }
+
+      if (type === 'direct' && participantIds.length !== 1) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Una conversación directa requiere exactamente un participante' });
+        return;
+      }
+
+      if (type === 'group' && (participantIds.length === 0 || participantIds.length > MAX_PARTICIPANTS_PER_REQUEST)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: `Un grupo requiere entre 1 y ${MAX_PARTICIPANTS_PER_REQUEST} participantes` });
+        return;
+      }
+
+      const users = await this.getExistingUsers(participantIds);
+      if (users.length !== participantIds.length) {
+        reply({ success: false, code: 'NOT_FOUND', error: 'Uno o más usuarios no existen' });
+        return;
+      }
+
+      // Solo se puede asociar la conversación a un proyecto del que el creador es miembro
+      if (projectId !== null) {
+        const isMember = await this.checkProjectMember(projectId, userId);
+        if (!isMember) {
+          reply({ success: false, code: 'FORBIDDEN', error: 'No perteneces a este proyecto' });
+          return;
+        }
+      }
+
+      // Las conversaciones directas no se duplican
+      if (type === 'direct') {
+        const existingId = await this.findDirectConversation(userId, participantIds[0]);
+        if (existingId) {
+          reply({ success: true, existing: true, conversation: await this.getConversation(existingId) });
+          return;
+        }
+      }
+
+      const groupName = type === 'group' ? richTextService.toPlainText(name).substring(0, 100) || null : null;
+      const conversationId = await this.insertConversation(type, groupName, projectId, userId);
+      await this.insertParticipants(conversationId, [userId], 'admin');
+      await this.insertParticipants(conversationId, participantIds, type === 'group' ? 'member' : 'admin');
+
+      const conversation = await this.getConversation(conversationId);
+      const memberIds = [userId, ...participantIds];
+
+      for (const memberId of memberIds) {
+        this.joinUserSockets(memberId, conversationId);
+        this.chatHandler.emitToUser(memberId, 'conversation_created', { conversation, createdBy: userId });
+      }
+
+      if (type === 'group') {
+        const names = users.map(u => u.name).join(', ');
+        await this.postSystemMessage(conversationId, userId, `${socket.userName} creó el grupo con ${names}`);
+      }
+
+      console.log(`[CONVERSATION] Usuario ${userId} creó conversación ${conversationId} (${type})`);
+      reply({ success: true, existing: false, conversation });
+
+    } catch (error) {
+      console.error('[CONVERSATION] Error creando conversación:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al crear conversación' });
+    }
+  }
+
+  // Agregar participantes a un grupo (solo admins)
+  async handleAddParticipants(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId } = data || {};
+      const userIds = this.parseUserIds(data && data.userIds);
+
+      if (!conversationId || userIds.length === 0 || userIds.length > MAX_PARTICIPANTS_PER_REQUEST) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId y userIds son requeridos' });
+        return;
+      }
+
+      const conversation = await this.getManageableGroup(socket, conversationId, reply);
+      if (!conversation) return;
+
+      const currentIds = new Set((await this.chatHandler.getConversationParticipants(conversationId)).map(p => p.user_id));
+      const newIds = userIds.filter(id => !currentIds.has(id));
+      const users = await this.getExistingUsers(newIds);
+
+      if (users.length !== newIds.length) {
+        reply({ success: false, code: 'NOT_FOUND', error: 'Uno o más usuarios no existen' });
+        return;
+      }
+
+      if (users.length === 0) {
+        reply({ success: true, added: [] });
+        return;
+      }
+
+      await this.insertParticipants(conversationId, newIds, 'member');
+
+      const updated = await this.getConversation(conversationId);
+      for (const newId of newIds) {
+        this.joinUserSockets(newId, conversationId);
+        this.chatHandler.emitToUser(newId, 'added_to_conversation', { conversation: updated, addedBy: userId });
+      }
+
+      const added = users.map(u => ({ userId: u.id, name: u.name }));
+      this.io.to(`conversation_${conversationId}`).emit('participants_added', {
+        conversationId,
+        addedBy: userId,
+        participants: added
+      });
+
+      await this.postSystemMessage(conversationId, userId, `${socket.userName} agregó a ${users.map(u => u.name).join(', ')}`);
+
+      console.log(`[CONVERSATION] Usuario ${userId} agregó ${newIds.join(', ')} a conversación ${conversationId}`);
+      reply({ success: true, added });
+
+    } catch (error) {
+      console.error('[CONVERSATION] Error agregando participantes:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al agregar participantes' });
+    }
+  }
+
+  // Quitar un participante de un grupo (solo admins)
+  async handleRemoveParticipant(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const conversationId = data && data.conversationId;
+      const targetId = parseInt(data && data.userId, 10);
+
+      if (!conversationId || isNaN(targetId)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId y userId son requeridos' });
+        return;
+      }
+
+      if (targetId === userId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Para salir usa leave_conversation' });
+        return;
+      }
+
+      const conversation = await this.getManageableGroup(socket, conversationId, reply);
+      if (!conversation) return;
+
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, targetId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'NOT_FOUND', error: 'El usuario no es participante' });
+        return;
+      }
+
+      const [target] = await this.getExistingUsers([targetId]);
+      await this.removeParticipant(conversationId, targetId, userId, `${socket.userName} eliminó a ${target ? target.name : 'un usuario'}`);
+
+      reply({ success: true });
+
+    } catch (error) {
+      console.error('[CONVERSATION] Error quitando participante:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al quitar participante' });
+    }
+  }
+
+  // Salir de un grupo
+  async handleLeaveConversation(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId } = data || {};
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      const conversation = await this.getConversation(conversationId);
+      const isParticipant = conversation && await this.chatHandler.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      if (conversation.type !== 'group') {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'No se puede salir de una conversación directa' });
+        return;
+      }
+
+      await this.removeParticipant(conversationId, userId, userId, `${socket.userName} salió del grupo`);
+      await this.ensureAdmin(conversationId);
+
+      reply({ success: true });
+
+    } catch (error) {
+      console.error('[CONVERSATION] Error saliendo de conversación:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al salir de la conversación' });
+    }
+  }
+
+  // Grupo que el usuario puede administrar; responde el error y retorna null si no
+  async getManageableGroup(socket, conversationId, reply) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      reply({ success: false, code: 'NOT_FOUND', error: 'Conversación no encontrada' });
+      return null;
+    }
+
+    if (conversation.type !== 'group') {
+      reply({ success: false, code: 'INVALID_REQUEST', error: 'Solo se pueden modificar participantes de grupos' });
+      return null;
+    }
+
+    const isAdmin = await this.chatHandler.checkConversationAdmin(conversationId, socket.userId);
+    if (!isAdmin) {
+      reply({ success: false, code: 'FORBIDDEN', error: 'Solo los administradores pueden modificar participantes' });
+      return null;
+    }
+
+    return conversation;
+  }
+
+  // Borrar participante, sacar sus sockets de la sala y avisar
+  async removeParticipant(conversationId, targetId, actorId, systemText) {
+    await this.deleteParticipant(conversationId, targetId);
+
+    this.leaveUserSockets(targetId, conversationId);
+    this.chatHandler.emitToUser(targetId, 'removed_from_conversation', {
+      conversationId,
+      removedBy: actorId
+    });
+
+    this.io.to(`conversation_${conversationId}`).emit('participant_removed', {
+      conversationId,
+      userId: targetId,
+      removedBy: actorId
+    });
+
+    await this.postSystemMessage(conversationId, actorId, systemText);
+
+    console.log(`[CONVERSATION] Usuario ${targetId} salió de conversación ${conversationId} (por ${actorId})`);
+  }
+
+  // Mensaje de sistema guardado y emitido como cualquier otro mensaje
+  async postSystemMessage(conversationId, actorId, text) {
+    const message = await this.chatHandler.saveMessage(
+      conversationId,
+      actorId,
+      this.chatHandler.sanitizeContent(text),
+      'system'
+    );
+    this.chatHandler.emitNewMessage(conversationId, message);
+    return message;
+  }
+
+  joinUserSockets(userId, conversationId) {
+    for (const socketId of this.chatHandler.getUserSockets(userId)) {
+      const userSocket = this.io.sockets.sockets.get(socketId);
+      if (userSocket) {
+        userSocket.join(`conversation_${conversationId}`);
+      }
+    }
+  }
+
+  leaveUserSockets(userId, conversationId) {
+    for (const socketId of this.chatHandler.getUserSockets(userId)) {
+      const userSocket = this.io.sockets.sockets.get(socketId);
+      if (userSocket) {
+        userSocket.leave(`conversation_${conversationId}`);
+      }
+    }
+  }
+
+  parseUserIds(userIds) {
+    if (!Array.isArray(userIds)) return [];
+    const ids = userIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    return [...new Set(ids)];
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  async getConversation(conversationId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT id, type, name, project_id, created_by, created_at, updated_at FROM conversations WHERE id = ?',
+        [conversationId]
+      );
+      if (rows.length === 0) return null;
+
+      const conversation = rows[0];
+      const [participants] = await db.execute(
+        `SELECT cp.user_id, cp.role, u.name
+         FROM conversation_participants cp
+         JOIN users u ON u.id = cp.user_id
+         WHERE cp.conversation_id = ?`,
+        [conversationId]
+      );
+      conversation.participants = participants.map(p => ({ userId: p.user_id, name: p.name, role: p.role }));
+      return conversation;
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      return null;
+    }
+  }
+
+  async getExistingUsers(userIds) {
+    if (userIds.length === 0) return [];
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT id, name FROM users WHERE id IN (${placeholders})`,
+        userIds
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting users:', error);
+      return [];
+    }
+  }
+
+  async checkProjectMember(projectId, userId) {
+    try {
+      const [rows] = await db.execute(
+        'SELECT 1 FROM project_members WHERE project_id = ? AND user_id = ?',
+        [projectId, userId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking project member:', error);
+      return false;
+    }
+  }
+
+  async findDirectConversation(userId, otherUserId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT c.id
+         FROM conversations c
+         JOIN conversation_participants a ON a.conversation_id = c.id AND a.user_id = ?
+         JOIN conversation_participants b ON b.conversation_id = c.id AND b.user_id = ?
+         WHERE c.type = 'direct'
+         LIMIT 1`,
+        [userId, otherUserId]
+      );
+      return rows.length > 0 ? rows[0].id : null;
+    } catch (error) {
+      console.error('Error finding direct conversation:', error);
+      return null;
+    }
+  }
+
+  async insertConversation(type, name, projectId, createdBy) {
+    const [result] = await db.execute(
+      `INSERT INTO conversations (type, name, project_id, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [type, name, projectId, createdBy]
+    );
+    return result.insertId;
+  }
+
+  async insertParticipants(conversationId, userIds, role) {
+    if (userIds.length === 0) return;
+
+    const values = userIds.map(() => '(?, ?, ?, NOW())').join(',');
+    await db.execute(
+      `INSERT IGNORE INTO conversation_participants (conversation_id, user_id, role, joined_at)
+       VALUES ${values}`,
+      userIds.flatMap(id => [conversationId, id, role])
+    );
+  }
+
+  async deleteParticipant(conversationId, userId) {
+    await db.execute(
+      'DELETE FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+      [conversationId, userId]
+    );
+  }
+
+  // Si el grupo quedó sin admin, promover al participante más antiguo
+  async ensureAdmin(conversationId) {
+    try {
+      const [admins] = await db.execute(
+        `SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND role = 'admin' LIMIT 1`,
+        [conversationId]
+      );
+      if (admins.length > 0) return;
+
+      const [oldest] = await db.execute(
+        `SELECT user_id FROM conversation_participants
+         WHERE conversation_id = ?
+         ORDER BY joined_at ASC, user_id ASC
+         LIMIT 1`,
+        [conversationId]
+      );
+      if (oldest.length === 0) return;
+
+      await db.execute(
+        `UPDATE conversation_participants SET role = 'admin' WHERE conversation_id = ? AND user_id = ?`,
+        [conversationId, oldest[0].user_id]
+      );
+
+      this.io.to(`conversation_${conversationId}`).emit('participant_role_changed', {
+        conversationId,
+        userId: oldest[0].user_id,
+        role: 'admin'
+      });
+    } catch (error) {
+      console.error('Error ensuring conversation admin:', error);
+    }
+  }
+}
+
+module.exports = ConversationHandler;
@@ -0,0 +1,156 @@
+const notificationPreferencesService = require('../services/notificationPreferencesService');
+
+class NotificationSettingsHandler {
+  constructor(chatHandler) {
+    this.chatHandler = chatHandler;
+  }
+
+  // Silenciar una conversación y/o activar el modo "solo menciones"
+  // data: { conversationId, mutedUntil?: ISO string|null, mutedForever?: boolean, mentionsOnly?: boolean }
+  async handleSetConversationNotifications(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId, mutedUntil, mutedForever, mentionsOnly } = data || {};
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      // Los campos omitidos conservan su valor actual
+      const current = (await notificationPreferencesService.getConversationPrefs(conversationId, [userId])).get(userId)
+        || { mutedUntil: null, mutedForever: false, mentionsOnly: false };
+      const prefs = { ...current };
+
+      if (mutedUntil !== undefined) {
+        prefs.mutedUntil = mutedUntil ? new Date(mutedUntil) : null;
+        if (prefs.mutedUntil && (isNaN(prefs.mutedUntil.getTime()) || prefs.mutedUntil <= new Date())) {
+          reply({ success: false, code: 'INVALID_REQUEST', error: 'mutedUntil debe ser una fecha futura' });
+          return;
+        }
+      }
+      if (mutedForever !== undefined) {
+        prefs.mutedForever = Boolean(mutedForever);
+      }
+      if (mentionsOnly !== undefined) {
+        prefs.mentionsOnly = Boolean(mentionsOnly);
+      }
+
+      await notificationPreferencesService.setConversationPrefs(conversationId, userId, prefs);
+
+      const payload = { conversationId, ...this.toPublicConversationPrefs(prefs) };
+      this.chatHandler.emitToUser(userId, 'conversation_notifications_updated', payload);
+
+      console.log(`[NOTIFY PREFS] Usuario ${userId} actualizó notificaciones de conversación ${conversationId}`);
+      reply({ success: true, ...payload });
+
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error actualizando notificaciones de conversación:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al actualizar notificaciones' });
+    }
+  }
+
+  // Configurar horas de silencio globales
+  // data: { quietHours: { start: 'HH:MM', end: 'HH:MM' } | null, timezone?: string }
+  async handleSetNotificationSettings(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { quietHours, timezone } = data || {};
+
+      const current = (await notificationPreferencesService.getUserSettings([userId])).get(userId)
+        || { quietHoursStart: null, quietHoursEnd: null, timezone: 'UTC' };
+      const settings = { ...current };
+
+      if (quietHours !== undefined) {
+        if (quietHours && (!notificationPreferencesService.isValidTime(quietHours.start)
+          || !notificationPreferencesService.isValidTime(quietHours.end))) {
+          reply({ success: false, code: 'INVALID_REQUEST', error: 'quietHours requiere start y end en formato HH:MM' });
+          return;
+        }
+        settings.quietHoursStart = quietHours ? quietHours.start : null;
+        settings.quietHoursEnd = quietHours ? quietHours.end : null;
+      }
+
+      if (timezone !== undefined) {
+        if (!timezone || !notificationPreferencesService.isValidTimezone(timezone)) {
+          reply({ success: false, code: 'INVALID_REQUEST', error: 'Zona horaria inválida' });
+          return;
+        }
+        settings.timezone = timezone;
+      }
+
+      await notificationPreferencesService.setUserSettings(userId, settings);
+
+      const payload = this.toPublicSettings(settings);
+      this.chatHandler.emitToUser(userId, 'notification_settings_updated', payload);
+
+      console.log(`[NOTIFY PREFS] Usuario ${userId} actualizó horas de silencio`);
+      reply({ success: true, settings: payload });
+
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error actualizando configuración de notificaciones:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al actualizar configuración' });
+    }
+  }
+
+  // Consultar configuración global y, opcionalmente, la de una conversación
+  async handleGetNotificationSettings(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId = null } = data || {};
+
+      const settings = (await notificationPreferencesService.getUserSettings([userId])).get(userId)
+        || { quietHoursStart: null, quietHoursEnd: null, timezone: 'UTC' };
+      const result = { success: true, settings: this.toPublicSettings(settings) };
+
+      if (conversationId) {
+        const isParticipant = await this.chatHandler.checkParticipant(conversationId, userId);
+        if (!isParticipant) {
+          reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+          return;
+        }
+
+        const prefs = (await notificationPreferencesService.getConversationPrefs(conversationId, [userId])).get(userId);
+        result.conversation = { conversationId, ...this.toPublicConversationPrefs(prefs) };
+      }
+
+      reply(result);
+
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error consultando configuración de notificaciones:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al consultar configuración' });
+    }
+  }
+
+  toPublicConversationPrefs(prefs) {
+    return {
+      muted: notificationPreferencesService.isMuted(prefs),
+      mutedUntil: prefs && !prefs.mutedForever ? prefs.mutedUntil : null,
+      mutedForever: Boolean(prefs && prefs.mutedForever),
+      mentionsOnly: Boolean(prefs && prefs.mentionsOnly)
+    };
+  }
+
+  toPublicSettings(settings) {
+    return {
+      quietHours: settings.quietHoursStart && settings.quietHoursEnd
+        ? { start: settings.quietHoursStart, end: settings.quietHoursEnd }
+        : null,
+      timezone: settings.timezone
+    };
+  }
+}
+
+module.exports = NotificationSettingsHandler;
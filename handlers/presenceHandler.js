@@ -0,0 +1,298 @@
+const db = require('../config/database');
+
+// Minutos sin actividad para pasar automáticamente a "away"
+const IDLE_TIMEOUT = (parseInt(process.env.PRESENCE_IDLE_MINUTES, 10) || 5) * 60 * 1000;
+
+// Frecuencia de revisión de inactividad y estados personalizados vencidos
+const SWEEP_INTERVAL = 60 * 1000;
+
+const MANUAL_STATUSES = ['online', 'away', 'dnd'];
+const MAX_CUSTOM_STATUS_LENGTH = 100;
+const MAX_PRESENCE_QUERY = 200;
+
+class PresenceHandler {
+  constructor(io, chatHandler) {
+    this.io = io;
+    this.chatHandler = chatHandler;
+    // userId -> { manualStatus, status, customStatus, customStatusExpiresAt, lastActivity }
+    this.presence = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  // Registrar conexión: cargar estado guardado y avisar solo a usuarios relacionados
+  async handleConnection(socket) {
+    const userId = socket.userId;
+
+    // Cualquier evento del cliente cuenta como actividad
+    socket.onAny(() => this.touch(userId));
+
+    if (!this.presence.has(userId)) {
+      const stored = await this.getStoredPresence(userId);
+      // Se desconectó mientras se leía la presencia guardada
+      if (socket.disconnected) return;
+
+      const manualStatus = stored && MANUAL_STATUSES.includes(stored.presence_status) && stored.presence_status !== 'online'
+        ? stored.presence_status
+        : null;
+
+      this.presence.set(userId, {
+        manualStatus,
+        status: manualStatus || 'online',
+        customStatus: stored ? stored.custom_status : null,
+        customStatusExpiresAt: stored ? stored.custom_status_expires_at : null,
+        lastActivity: Date.now()
+      });
+
+      await this.broadcastPresence(userId, 'user_online');
+    } else {
+      this.touch(userId);
+    }
+  }
+
+  // Llamar después de ChatHandler.handleDisconnection (que actualiza userSockets)
+  async handleDisconnection(socket) {
+    const userId = socket.userId;
+
+    if (this.chatHandler.isUserOnline(userId) || !this.presence.has(userId)) {
+      return;
+    }
+
+    this.presence.delete(userId);
+    await this.broadcastPresence(userId, 'user_offline');
+  }
+
+  // Cambiar estado manual y/o estado personalizado
+  // data: { status?: 'online'|'away'|'dnd', customStatus?: string|null, customStatusExpiresAt?: ISO string|null }
+  async handleSetPresence(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const entry = this.presence.get(userId);
+      if (!entry) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Usuario no conectado' });
+        return;
+      }
+
+      const { status, customStatus, customStatusExpiresAt } = data || {};
+
+      if (status !== undefined && !MANUAL_STATUSES.includes(status)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Estado inválido' });
+        return;
+      }
+
+      let expiresAt = entry.customStatusExpiresAt;
+      if (customStatusExpiresAt !== undefined) {
+        expiresAt = customStatusExpiresAt ? new Date(customStatusExpiresAt) : null;
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+          reply({ success: false, code: 'INVALID_REQUEST', error: 'Fecha de expiración inválida' });
+          return;
+        }
+      }
+
+      if (status !== undefined) {
+        // "online" vuelve al modo automático (con detección de inactividad)
+        entry.manualStatus = status === 'online' ? null : status;
+        entry.status = entry.manualStatus || 'online';
+        entry.lastActivity = Date.now();
+      }
+
+      if (customStatus !== undefined) {
+        const text = customStatus ? String(customStatus).trim().substring(0, MAX_CUSTOM_STATUS_LENGTH) : '';
+        entry.customStatus = text || null;
+        if (!entry.customStatus) {
+          expiresAt = null;
+        }
+      }
+      entry.customStatusExpiresAt = entry.customStatus ? expiresAt : null;
+
+      await this.savePresence(userId, entry);
+      await this.broadcastPresence(userId);
+
+      reply({ success: true, presence: this.buildPresence(userId, entry) });
+
+    } catch (error) {
+      console.error('[PRESENCE] Error actualizando estado:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al actualizar estado' });
+    }
+  }
+
+  // Consultar presencia de una lista de usuarios (solo los que comparten conversación o proyecto)
+  async handleGetPresence(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const userIds = data && Array.isArray(data.userIds) ? data.userIds.slice(0, MAX_PRESENCE_QUERY) : [];
+
+      if (userIds.length === 0) {
+        reply({ success: true, presence: [] });
+        return;
+      }
+
+      const audience = await this.getAudience(userId);
+      audience.add(userId);
+      const visibleIds = userIds
+        .map(id => parseInt(id, 10))
+        .filter(id => !isNaN(id) && audience.has(id));
+
+      const stored = await this.getStoredPresenceMany(visibleIds.filter(id => !this.presence.has(id)));
+      const presence = visibleIds.map(id => {
+        if (this.presence.has(id)) {
+          return this.buildPresence(id, this.presence.get(id));
+        }
+        const row = stored.get(id);
+        return this.buildPresence(id, null, row);
+      });
+
+      reply({ success: true, presence });
+
+    } catch (error) {
+      console.error('[PRESENCE] Error consultando presencia:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al consultar presencia' });
+    }
+  }
+
+  // Registrar actividad; si estaba "away" automático vuelve a "online"
+  touch(userId) {
+    const entry = this.presence.get(userId);
+    if (!entry) return;
+
+    entry.lastActivity = Date.now();
+    if (!entry.manualStatus && entry.status === 'away') {
+      entry.status = 'online';
+      this.broadcastPresence(userId);
+    }
+  }
+
+  // Pasar a "away" por inactividad y limpiar estados personalizados vencidos
+  sweep() {
+    const now = Date.now();
+
+    for (const [userId, entry] of this.presence) {
+      let changed = false;
+
+      if (!entry.manualStatus && entry.status === 'online' && now - entry.lastActivity > IDLE_TIMEOUT) {
+        entry.status = 'away';
+        changed = true;
+      }
+
+      if (entry.customStatusExpiresAt && new Date(entry.customStatusExpiresAt).getTime() <= now) {
+        entry.customStatus = null;
+        entry.customStatusExpiresAt = null;
+        this.savePresence(userId, entry);
+        changed = true;
+      }
+
+      if (changed) {
+        this.broadcastPresence(userId);
+      }
+    }
+  }
+
+  // Emitir presence_updated (y user_online/user_offline por compatibilidad) a los usuarios relacionados
+  async broadcastPresence(userId, legacyEvent = null) {
+    try {
+      const audience = await this.getAudience(userId);
+      const entry = this.presence.get(userId) || null;
+      const payload = this.buildPresence(userId, entry);
+      const timestamp = new Date();
+
+      for (const targetId of audience) {
+        if (!this.chatHandler.isUserOnline(targetId)) continue;
+
+        this.chatHandler.emitToUser(targetId, 'presence_updated', payload);
+        if (legacyEvent) {
+          this.chatHandler.emitToUser(targetId, legacyEvent, { userId, timestamp });
+        }
+      }
+    } catch (error) {
+      console.error('[PRESENCE] Error emitiendo presencia:', error);
+    }
+  }
+
+  // Vista pública de la presencia (entry en memoria si está conectado, fila de DB si no)
+  buildPresence(userId, entry, row = null) {
+    const source = entry || {
+      status: 'offline',
+      customStatus: row ? row.custom_status : null,
+      customStatusExpiresAt: row ? row.custom_status_expires_at : null
+    };
+    const expired = source.customStatusExpiresAt && new Date(source.customStatusExpiresAt) <= new Date();
+
+    return {
+      userId,
+      status: entry ? entry.status : 'offline',
+      customStatus: expired ? null : source.customStatus || null,
+      customStatusExpiresAt: expired ? null : source.customStatusExpiresAt || null,
+      lastSeen: entry ? null : (row ? row.last_seen : null)
+    };
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  // Usuarios que comparten al menos una conversación o un proyecto con userId
+  async getAudience(userId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT cp2.user_id
+         FROM conversation_participants cp1
+         JOIN conversation_participants cp2 ON cp2.conversation_id = cp1.conversation_id
+         WHERE cp1.user_id = ? AND cp2.user_id != ?
+         UNION
+         SELECT pm2.user_id
+         FROM project_members pm1
+         JOIN project_members pm2 ON pm2.project_id = pm1.project_id
+         WHERE pm1.user_id = ? AND pm2.user_id != ?`,
+        [userId, userId, userId, userId]
+      );
+      return new Set(rows.map(r => r.user_id));
+    } catch (error) {
+      console.error('Error getting presence audience:', error);
+      return new Set();
+    }
+  }
+
+  async getStoredPresence(userId) {
+    const rows = await this.getStoredPresenceMany([userId]);
+    return rows.get(userId) || null;
+  }
+
+  async getStoredPresenceMany(userIds) {
+    const byUser = new Map();
+    if (userIds.length === 0) return byUser;
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT user_id, last_seen, presence_status, custom_status, custom_status_expires_at
+         FROM user_online_status
+         WHERE user_id IN (${placeholders})`,
+        userIds
+      );
+      for (const row of rows) {
+        byUser.set(row.user_id, row);
+      }
+    } catch (error) {
+      console.error('Error getting stored presence:', error);
+    }
+    return byUser;
+  }
+
+  async savePresence(userId, entry) {
+    try {
+      await db.execute(
+        `UPDATE user_online_status
+         SET presence_status = ?, custom_status = ?, custom_status_expires_at = ?
+         WHERE user_id = ?`,
+        [entry.manualStatus || 'online', entry.customStatus, entry.customStatusExpiresAt, userId]
+      );
+    } catch (error) {
+      console.error('Error saving presence:', error);
+    }
+  }
+}
+
+module.exports = PresenceHandler;
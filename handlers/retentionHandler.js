@@ -0,0 +1,207 @@
+const db = require('../config/database');
+const attachmentService = require('../services/attachmentService');
+
+// Frecuencia del barrido de mensajes vencidos
+const RETENTION_SWEEP_INTERVAL = (parseInt(process.env.RETENTION_SWEEP_SECONDS, 10) || 30) * 1000;
+
+// Mensajes eliminados por ciclo
+const RETENTION_BATCH_SIZE = 500;
+
+// Límites de la política (segundos)
+const MIN_RETENTION_SECONDS = 60;
+const MAX_RETENTION_SECONDS = 365 * 24 * 60 * 60;
+
+// ttl: cada mensaje nuevo vence a los N segundos de enviado (los anteriores a la política no cambian)
+// max_age: además se elimina todo el historial con más de N segundos de antigüedad
+const RETENTION_MODES = ['ttl', 'max_age'];
+
+class RetentionHandler {
+  constructor(io, chatHandler) {
+    this.io = io;
+    this.chatHandler = chatHandler;
+    this.sweeping = false;
+    this.timer = null;
+  }
+
+  // Iniciar el barrido periódico
+  start() {
+    this.timer = setInterval(() => this.sweep(), RETENTION_SWEEP_INTERVAL);
+    this.timer.unref();
+    this.sweep();
+
+    console.log(`[RETENTION] Barrido de mensajes vencidos activo (cada ${RETENTION_SWEEP_INTERVAL / 1000}s)`);
+  }
+
+  // Configurar la política de retención (solo admins)
+  // data: { conversationId, mode: 'ttl'|'max_age'|null, seconds? }
+  async handleSetRetentionPolicy(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId, mode = null } = data || {};
+      const seconds = mode ? parseInt(data.seconds, 10) : null;
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      if (mode !== null && !RETENTION_MODES.includes(mode)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Modo de retención inválido' });
+        return;
+      }
+
+      if (mode && (isNaN(seconds) || seconds < MIN_RETENTION_SECONDS || seconds > MAX_RETENTION_SECONDS)) {
+        reply({
+          success: false,
+          code: 'INVALID_REQUEST',
+          error: `seconds debe estar entre ${MIN_RETENTION_SECONDS} y ${MAX_RETENTION_SECONDS}`
+        });
+        return;
+      }
+
+      const isAdmin = await this.chatHandler.checkConversationAdmin(conversationId, userId);
+      if (!isAdmin) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'Solo los administradores pueden cambiar la retención' });
+        return;
+      }
+
+      await this.saveRetentionPolicy(conversationId, mode, seconds);
+
+      const policy = { conversationId, mode, seconds, updatedBy: userId };
+      this.io.to(`conversation_${conversationId}`).emit('retention_policy_updated', policy);
+
+      console.log(`[RETENTION] Usuario ${userId} cambió retención de conversación ${conversationId}: ${mode || 'ninguna'} ${seconds || ''}`);
+      reply({ success: true, policy });
+
+      // max_age aplica de inmediato al historial existente
+      if (mode === 'max_age') {
+        this.sweep();
+      }
+
+    } catch (error) {
+      console.error('[RETENTION] Error configurando retención:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al configurar retención' });
+    }
+  }
+
+  // Consultar la política de retención de una conversación
+  async handleGetRetentionPolicy(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const { conversationId } = data || {};
+
+      if (!conversationId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId es requerido' });
+        return;
+      }
+
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, socket.userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      const policy = await this.getRetentionPolicy(conversationId);
+      reply({ success: true, policy: { conversationId, ...policy } });
+
+    } catch (error) {
+      console.error('[RETENTION] Error consultando retención:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al consultar retención' });
+    }
+  }
+
+  // Eliminar mensajes vencidos y avisar a los participantes conectados
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      let expired;
+      do {
+        expired = await this.getExpiredMessages(RETENTION_BATCH_SIZE);
+        if (expired.length === 0) break;
+
+        const messageIds = expired.map(m => m.id);
+        await this.expireMessages(messageIds);
+        await attachmentService.removeByMessageIds(messageIds);
+
+        for (const message of expired) {
+          this.io.to(`conversation_${message.conversation_id}`).emit('message_deleted', {
+            conversationId: message.conversation_id,
+            messageId: message.id,
+            deletedBy: null,
+            scope: 'everyone',
+            reason: 'expired'
+          });
+
+          if (message.thread_root_id) {
+            await this.chatHandler.removeThreadReply(message.conversation_id, message.thread_root_id);
+          }
+        }
+
+        console.log(`[RETENTION] ${expired.length} mensajes vencidos eliminados`);
+      } while (expired.length === RETENTION_BATCH_SIZE);
+    } catch (error) {
+      console.error('[RETENTION] Error en barrido de mensajes vencidos:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  async saveRetentionPolicy(conversationId, mode, seconds) {
+    await db.execute(
+      'UPDATE conversations SET retention_mode = ?, retention_seconds = ? WHERE id = ?',
+      [mode, seconds, conversationId]
+    );
+  }
+
+  async getRetentionPolicy(conversationId) {
+    const [rows] = await db.execute(
+      'SELECT retention_mode, retention_seconds FROM conversations WHERE id = ?',
+      [conversationId]
+    );
+    const row = rows[0];
+    return {
+      mode: row ? row.retention_mode : null,
+      seconds: row ? row.retention_seconds : null
+    };
+  }
+
+  async getExpiredMessages(limit) {
+    const [rows] = await db.execute(
+      `SELECT m.id, m.conversation_id, m.thread_root_id
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.deleted_at IS NULL
+         AND (
+           m.expires_at <= NOW()
+           OR (c.retention_mode = 'max_age' AND m.created_at < DATE_SUB(NOW(), INTERVAL c.retention_seconds SECOND))
+         )
+       ORDER BY m.id ASC
+       LIMIT ?`,
+      [String(limit)]
+    );
+    return rows;
+  }
+
+  // Borrado definitivo del contenido: se conserva la fila para que sync reenvíe message_deleted
+  async expireMessages(messageIds) {
+    const placeholders = messageIds.map(() => '?').join(',');
+
+    await db.execute(
+      `UPDATE messages
+       SET content = '', deleted_at = NOW(), deleted_by = NULL, deleted_reason = 'expired'
+       WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+      messageIds
+    );
+    await db.execute(`DELETE FROM message_edits WHERE message_id IN (${placeholders})`, messageIds);
+    await db.execute(`DELETE FROM pinned_messages WHERE message_id IN (${placeholders})`, messageIds);
+  }
+}
+
+module.exports = RetentionHandler;
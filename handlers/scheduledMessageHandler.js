@@ -0,0 +1,346 @@
+const db = require('../config/database');
+
+// Frecuencia con la que se buscan mensajes programados vencidos
+const SCHEDULER_INTERVAL = (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 15) * 1000;
+
+// Mensajes procesados por ciclo
+const SCHEDULER_BATCH_SIZE = 50;
+
+// Máxima anticipación para programar un mensaje
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000;
+
+// Máximo de mensajes pendientes por usuario
+const MAX_PENDING_PER_USER = 100;
+
+class ScheduledMessageHandler {
+  constructor(io, chatHandler) {
+    this.io = io;
+    this.chatHandler = chatHandler;
+    this.processing = false;
+    this.timer = null;
+  }
+
+  // Iniciar el scheduler. Los pendientes viven en DB, así que sobreviven reinicios
+  async start() {
+    // Un envío interrumpido por un reinicio vuelve a la cola; el clientMessageId evita duplicarlo
+    await this.resetInterrupted();
+
+    this.timer = setInterval(() => this.processDue(), SCHEDULER_INTERVAL);
+    this.timer.unref();
+    this.processDue();
+
+    console.log(`[SCHEDULER] Mensajes programados activos (cada ${SCHEDULER_INTERVAL / 1000}s)`);
+  }
+
+  // Programar mensaje
+  // data: { conversationId, content, sendAt, messageType?, replyToMessageId?, threadRootId? }
+  async handleScheduleMessage(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId, sendAt, messageType = 'text', replyToMessageId = null, threadRootId = null } = data || {};
+
+      if (!conversationId || !sendAt) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'conversationId y sendAt son requeridos' });
+        return;
+      }
+
+      if (!this.chatHandler.isClientMessageType(messageType)) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Tipo de mensaje inválido' });
+        return;
+      }
+
+      const sendAtDate = new Date(sendAt);
+      const delay = sendAtDate.getTime() - Date.now();
+      if (isNaN(delay) || delay <= 0 || delay > MAX_SCHEDULE_AHEAD) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'sendAt debe ser una fecha futura dentro del próximo año' });
+        return;
+      }
+
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, userId);
+      if (!isParticipant) {
+        reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+        return;
+      }
+
+      // Misma validación que un envío inmediato (contenido, cita e hilo)
+      const prepared = await this.chatHandler.prepareOutgoingMessage(conversationId, userId, data);
+      if (prepared.error) {
+        reply({ success: false, code: prepared.error.code, error: prepared.error.message });
+        return;
+      }
+
+      if (prepared.attachments.length > 0) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Los mensajes programados no admiten adjuntos' });
+        return;
+      }
+
+      const pending = await this.countPending(userId);
+      if (pending >= MAX_PENDING_PER_USER) {
+        reply({ success: false, code: 'LIMIT_REACHED', error: `Máximo ${MAX_PENDING_PER_USER} mensajes programados pendientes` });
+        return;
+      }
+
+      const scheduledId = await this.insertScheduled({
+        conversationId,
+        senderId: userId,
+        content: prepared.content,
+        messageType,
+        replyToMessageId: prepared.replyTo ? prepared.replyTo.id : replyToMessageId,
+        threadRootId: prepared.threadRoot ? prepared.threadRoot.id : threadRootId,
+        sendAt: sendAtDate
+      });
+
+      const scheduled = await this.getScheduled(scheduledId);
+      this.chatHandler.emitToUser(userId, 'scheduled_message_created', { scheduled: this.toPublic(scheduled) });
+
+      console.log(`[SCHEDULER] Usuario ${userId} programó mensaje ${scheduledId} para ${sendAtDate.toISOString()}`);
+      reply({ success: true, scheduled: this.toPublic(scheduled) });
+
+    } catch (error) {
+      console.error('[SCHEDULER] Error programando mensaje:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al programar mensaje' });
+    }
+  }
+
+  // Listar mensajes programados pendientes del usuario (opcionalmente de una conversación)
+  async handleListScheduled(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const { conversationId = null } = data || {};
+      const rows = await this.getPendingByUser(socket.userId, conversationId);
+      reply({ success: true, scheduled: rows.map(row => this.toPublic(row)) });
+
+    } catch (error) {
+      console.error('[SCHEDULER] Error listando mensajes programados:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al listar mensajes programados' });
+    }
+  }
+
+  // Cancelar un mensaje programado propio que aún no se envió
+  async handleCancelScheduled(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const { scheduledId } = data || {};
+      const userId = socket.userId;
+
+      if (!scheduledId) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'scheduledId es requerido' });
+        return;
+      }
+
+      const cancelled = await this.cancelScheduled(scheduledId, userId);
+      if (!cancelled) {
+        reply({ success: false, code: 'NOT_FOUND', error: 'Mensaje programado no encontrado o ya enviado' });
+        return;
+      }
+
+      this.chatHandler.emitToUser(userId, 'scheduled_message_cancelled', { scheduledId });
+      reply({ success: true });
+
+    } catch (error) {
+      console.error('[SCHEDULER] Error cancelando mensaje programado:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al cancelar mensaje programado' });
+    }
+  }
+
+  // Enviar los mensajes vencidos por el mismo flujo que send_message
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const due = await this.getDue(SCHEDULER_BATCH_SIZE);
+      for (const scheduled of due) {
+        // Reclamar la fila; si otro ciclo ya la tomó o se canceló, se omite
+        const claimed = await this.claim(scheduled.id);
+        if (claimed) {
+          await this.sendScheduled(scheduled);
+        }
+      }
+    } catch (error) {
+      console.error('[SCHEDULER] Error procesando mensajes programados:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async sendScheduled(scheduled) {
+    const conversationId = scheduled.conversation_id;
+    const senderId = scheduled.sender_id;
+    let sent = false;
+
+    try {
+      const isParticipant = await this.chatHandler.checkParticipant(conversationId, senderId);
+      if (!isParticipant) {
+        await this.markFailed(scheduled, 'El remitente ya no participa en la conversación');
+        return;
+      }
+
+      const prepared = await this.chatHandler.prepareOutgoingMessage(conversationId, senderId, {
+        content: scheduled.content,
+        replyToMessageId: scheduled.reply_to_message_id,
+        threadRootId: scheduled.thread_root_id
+      });
+      if (prepared.error) {
+        await this.markFailed(scheduled, prepared.error.message);
+        return;
+      }
+
+      // Se marca enviado apenas se guarda: un error posterior (hilo, push) no lo deja como fallido
+      const markSent = async (saved) => {
+        await this.markSent(scheduled.id, saved.id);
+        sent = true;
+      };
+      const { message, duplicate } = await this.chatHandler.deliverMessage(conversationId, senderId, prepared, {
+        messageType: scheduled.message_type,
+        clientMessageId: `scheduled_${scheduled.id}`,
+        onSaved: markSent
+      });
+      if (duplicate) {
+        await markSent(message);
+      }
+
+      this.chatHandler.emitToUser(senderId, 'scheduled_message_sent', {
+        scheduledId: scheduled.id,
+        conversationId,
+        messageId: message.id
+      });
+
+      console.log(`[SCHEDULER] Mensaje programado ${scheduled.id} enviado como mensaje ${message.id}`);
+    } catch (error) {
+      console.error(`[SCHEDULER] Error enviando mensaje programado ${scheduled.id}:`, error);
+      if (!sent) {
+        await this.markFailed(scheduled, 'Error al enviar');
+      }
+    }
+  }
+
+  async markFailed(scheduled, reason) {
+    try {
+      await db.execute(
+        `UPDATE scheduled_messages SET status = 'failed', error = ? WHERE id = ?`,
+        [reason, scheduled.id]
+      );
+    } catch (error) {
+      console.error('Error marking scheduled message failed:', error);
+    }
+
+    this.chatHandler.emitToUser(scheduled.sender_id, 'scheduled_message_failed', {
+      scheduledId: scheduled.id,
+      conversationId: scheduled.conversation_id,
+      reason
+    });
+    console.log(`[SCHEDULER] Mensaje programado ${scheduled.id} falló: ${reason}`);
+  }
+
+  // Datos del mensaje programado que se envían al cliente
+  toPublic(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      content: row.content,
+      messageType: row.message_type,
+      replyToMessageId: row.reply_to_message_id,
+      threadRootId: row.thread_root_id,
+      sendAt: row.send_at,
+      status: row.status,
+      createdAt: row.created_at
+    };
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  async insertScheduled({ conversationId, senderId, content, messageType, replyToMessageId, threadRootId, sendAt }) {
+    const [result] = await db.execute(
+      `INSERT INTO scheduled_messages
+         (conversation_id, sender_id, content, message_type, reply_to_message_id, thread_root_id, send_at, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+      [conversationId, senderId, content, messageType, replyToMessageId, threadRootId, sendAt]
+    );
+    return result.insertId;
+  }
+
+  async getScheduled(scheduledId) {
+    const [rows] = await db.execute('SELECT * FROM scheduled_messages WHERE id = ?', [scheduledId]);
+    return rows[0] || null;
+  }
+
+  async countPending(userId) {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM scheduled_messages WHERE sender_id = ? AND status = 'pending'`,
+      [userId]
+    );
+    return rows[0].total;
+  }
+
+  async getPendingByUser(userId, conversationId) {
+    const params = [userId];
+    let conversationClause = '';
+    if (conversationId) {
+      conversationClause = 'AND conversation_id = ?';
+      params.push(conversationId);
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM scheduled_messages
+       WHERE sender_id = ? AND status = 'pending' ${conversationClause}
+       ORDER BY send_at ASC`,
+      params
+    );
+    return rows;
+  }
+
+  async cancelScheduled(scheduledId, userId) {
+    const [result] = await db.execute(
+      `UPDATE scheduled_messages SET status = 'cancelled'
+       WHERE id = ? AND sender_id = ? AND status = 'pending'`,
+      [scheduledId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async getDue(limit) {
+    const [rows] = await db.execute(
+      `SELECT * FROM scheduled_messages
+       WHERE status = 'pending' AND send_at <= NOW()
+       ORDER BY send_at ASC, id ASC
+       LIMIT ?`,
+      [String(limit)]
+    );
+    return rows;
+  }
+
+  async claim(scheduledId) {
+    const [result] = await db.execute(
+      `UPDATE scheduled_messages SET status = 'sending' WHERE id = ? AND status = 'pending'`,
+      [scheduledId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async markSent(scheduledId, messageId) {
+    await db.execute(
+      `UPDATE scheduled_messages SET status = 'sent', message_id = ?, sent_at = NOW() WHERE id = ?`,
+      [messageId, scheduledId]
+    );
+  }
+
+  async resetInterrupted() {
+    try {
+      const [result] = await db.execute(
+        `UPDATE scheduled_messages SET status = 'pending' WHERE status = 'sending'`
+      );
+      if (result.affectedRows > 0) {
+        console.log(`[SCHEDULER] ${result.affectedRows} mensajes programados interrumpidos vuelven a la cola`);
+      }
+    } catch (error) {
+      console.error('Error resetting interrupted scheduled messages:', error);
+    }
+  }
+}
+
+module.exports = ScheduledMessageHandler;
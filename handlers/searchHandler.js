@@ -0,0 +1,213 @@
+const db = require('../config/database');
+const attachmentService = require('../services/attachmentService');
+const richTextService = require('../services/richTextService');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCH_TERMS = 10;
+
+// Largo mínimo de palabra del índice FULLTEXT de InnoDB (innodb_ft_min_token_size);
+// las palabras más cortas se buscan con LIKE
+const MIN_FULLTEXT_TERM = 3;
+
+// Caracteres de contexto alrededor de la primera coincidencia
+const SNIPPET_LENGTH = 160;
+
+class SearchHandler {
+  constructor(chatHandler) {
+    this.chatHandler = chatHandler;
+  }
+
+  // Buscar mensajes en las conversaciones del usuario, respuesta vía ack
+  // data: { query, conversationId?, senderId?, from?, to?, hasAttachment?, cursor?, limit? }
+  // Se consulta la tabla de mensajes en vivo, así que ediciones y eliminaciones se reflejan de inmediato
+  async handleSearchMessages(socket, data, callback) {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const userId = socket.userId;
+      const { conversationId = null, senderId = null, hasAttachment = false, cursor = null } = data || {};
+      const query = typeof (data && data.query) === 'string' ? data.query.trim() : '';
+      const limit = Math.min(Math.max(parseInt(data && data.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+      if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: `La búsqueda debe tener entre ${MIN_QUERY_LENGTH} y ${MAX_QUERY_LENGTH} caracteres` });
+        return;
+      }
+
+      const terms = this.extractTerms(query);
+      if (terms.length === 0) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'La búsqueda no contiene palabras válidas' });
+        return;
+      }
+
+      const from = data && data.from ? new Date(data.from) : null;
+      const to = data && data.to ? new Date(data.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        reply({ success: false, code: 'INVALID_REQUEST', error: 'Rango de fechas inválido' });
+        return;
+      }
+
+      if (conversationId) {
+        const isParticipant = await this.chatHandler.checkParticipant(conversationId, userId);
+        if (!isParticipant) {
+          reply({ success: false, code: 'FORBIDDEN', error: 'No tienes acceso a esta conversación' });
+          return;
+        }
+      }
+
+      const rows = await this.searchMessages(userId, terms, {
+        conversationId,
+        senderId,
+        from,
+        to,
+        hasAttachment: Boolean(hasAttachment),
+        before: cursor ? parseInt(cursor, 10) : null,
+        limit: limit + 1
+      });
+
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+      const attachments = await attachmentService.getByMessageIds(page.map(m => m.id));
+
+      const results = page.map(row => ({
+        messageId: row.id,
+        conversationId: row.conversation_id,
+        conversationName: row.conversation_name,
+        threadRootId: row.thread_root_id,
+        senderId: row.sender_id,
+        senderName: row.sender_name,
+        createdAt: row.created_at,
+        editedAt: row.edited_at,
+        attachments: attachments.get(row.id) || [],
+        ...this.buildSnippet(row.content, terms)
+      }));
+
+      reply({
+        success: true,
+        results,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      });
+
+    } catch (error) {
+      console.error('[SEARCH] Error:', error);
+      reply({ success: false, code: 'INTERNAL_ERROR', error: 'Error al buscar mensajes' });
+    }
+  }
+
+  // Palabras de la búsqueda (sin signos, que en boolean mode serían operadores)
+  extractTerms(query) {
+    const terms = this.fold(query)
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(Boolean);
+    return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+  }
+
+  // Minúsculas sin tildes, carácter por carácter para conservar las posiciones
+  // (la collation de MySQL tampoco distingue tildes)
+  fold(text) {
+    return text.toLowerCase().replace(/[\u00c0-\u024f]/g, ch => ch.normalize('NFD')[0]);
+  }
+
+  // Texto plano recortado alrededor de la primera coincidencia, con las posiciones a resaltar
+  // highlights: [{ start, length }] relativas a snippet
+  buildSnippet(content, terms) {
+    const text = richTextService.toPlainText(content);
+    const lower = this.fold(text);
+
+    const firstHit = terms
+      .map(term => lower.indexOf(term))
+      .filter(index => index !== -1)
+      .reduce((min, index) => Math.min(min, index), text.length);
+
+    let start = 0;
+    if (firstHit < text.length && text.length > SNIPPET_LENGTH) {
+      start = Math.max(0, Math.min(firstHit - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    let snippet = text.substring(start, end);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    const highlights = [];
+    const snippetLower = this.fold(snippet);
+    for (const term of terms) {
+      let index = snippetLower.indexOf(term);
+      while (index !== -1) {
+        highlights.push({ start: index + prefix.length, length: term.length });
+        index = snippetLower.indexOf(term, index + term.length);
+      }
+    }
+    highlights.sort((a, b) => a.start - b.start);
+
+    snippet = prefix + snippet + suffix;
+    return { snippet, highlights };
+  }
+
+  // ----- Funciones auxiliares de base de datos -----
+
+  // Requiere el índice FULLTEXT sobre messages.content
+  async searchMessages(userId, terms, { conversationId, senderId, from, to, hasAttachment, before, limit }) {
+    const conditions = [];
+    const params = [userId, userId];
+
+    const fulltextTerms = terms.filter(t => t.length >= MIN_FULLTEXT_TERM);
+    if (fulltextTerms.length > 0) {
+      conditions.push('MATCH(m.content) AGAINST (? IN BOOLEAN MODE)');
+      params.push(fulltextTerms.map(t => `+${t}*`).join(' '));
+    }
+    for (const term of terms.filter(t => t.length < MIN_FULLTEXT_TERM)) {
+      conditions.push('m.content LIKE ?');
+      params.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    if (conversationId) {
+      conditions.push('m.conversation_id = ?');
+      params.push(conversationId);
+    }
+    if (senderId) {
+      conditions.push('m.sender_id = ?');
+      params.push(senderId);
+    }
+    if (from) {
+      conditions.push('m.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('m.created_at <= ?');
+      params.push(to);
+    }
+    if (hasAttachment) {
+      conditions.push('EXISTS (SELECT 1 FROM attachments a WHERE a.message_id = m.id)');
+    }
+    if (before) {
+      conditions.push('m.id < ?');
+      params.push(before);
+    }
+    params.push(String(limit));
+
+    const [rows] = await db.execute(
+      `SELECT m.id, m.conversation_id, m.sender_id, m.content, m.thread_root_id, m.created_at, m.edited_at,
+              u.name as sender_name, c.name as conversation_name
+       FROM messages m
+       JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = ?
+       JOIN conversations c ON c.id = m.conversation_id
+       JOIN users u ON u.id = m.sender_id
+       WHERE m.deleted_at IS NULL
+         AND (m.expires_at IS NULL OR m.expires_at > NOW())
+         AND m.message_type != 'system'
+         AND NOT EXISTS (SELECT 1 FROM message_hidden mh WHERE mh.message_id = m.id AND mh.user_id = ?)
+         AND ${conditions.join(' AND ')}
+       ORDER BY m.id DESC
+       LIMIT ?`,
+      params
+    );
+    return rows;
+  }
+}
+
+module.exports = SearchHandler;
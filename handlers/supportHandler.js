@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const richTextService = require('../services/richTextService');
 
 class SupportHandler {
   constructor(io) {
@@ -326,6 +327,7 @@ class SupportHandler {
         this.io.to(`support_channel_${socket.supportChannelId}`).emit('session_updated', {
           sessionId,
           lastMessage: content,
+          lastMessagePreview: richTextService.toPlainText(message.content).substring(0, 100),
           unreadCount: 1,
           timestamp: new Date()
         });
@@ -598,13 +600,14 @@ class SupportHandler {
 
   async saveSupportMessage(sessionId, messageData) {
     const [result] = await db.query(
-      `INSERT INTO support_messages (session_id, sender_type, sender_id, content, message_type, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO support_messages (session_id, sender_type, sender_id, content, content_format, message_type, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
       [
         sessionId,
         messageData.sender_type,
         messageData.sender_id || null,
         messageData.content,
+        richTextService.CONTENT_FORMAT,
         messageData.message_type || 'text',
         messageData.metadata ? JSON.stringify(messageData.metadata) : null
       ]
@@ -616,6 +619,7 @@ class SupportHandler {
       sender_type: messageData.sender_type,
       sender_id: messageData.sender_id,
       content: messageData.content,
+      content_format: richTextService.CONTENT_FORMAT,
       message_type: messageData.message_type || 'text',
       created_at: new Date()
     };
@@ -657,13 +661,9 @@ class SupportHandler {
     );
   }
 
-  // Sanitizar contenido
+  // Validar y normalizar al formato de texto enriquecido compartido con el chat
   sanitizeContent(content) {
-    if (!content) return '';
-    return content
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .substring(0, 5000);
+    return richTextService.normalize(content);
   }
 }
 
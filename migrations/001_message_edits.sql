@@ -0,0 +1,15 @@
+-- Edición de mensajes con historial de revisiones (ChatHandler.handleEditMessage)
+
+ALTER TABLE messages
+  ADD COLUMN edited_at DATETIME NULL DEFAULT NULL;
+
+-- Una fila por revisión: el contenido que tenía el mensaje antes de cada edición
+CREATE TABLE message_edits (
+  id INT NOT NULL AUTO_INCREMENT,
+  message_id INT NOT NULL,
+  previous_content TEXT NOT NULL,
+  edited_by INT NOT NULL,
+  edited_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_message_edits_message (message_id, edited_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
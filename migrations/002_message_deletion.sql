@@ -0,0 +1,19 @@
+-- Eliminación de mensajes "para mí" y "para todos" (ChatHandler.handleDeleteMessage)
+
+-- "Para todos": la fila se conserva para que sync reenvíe message_deleted
+ALTER TABLE messages
+  ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN deleted_by INT NULL DEFAULT NULL;
+
+-- Admins de la conversación pueden eliminar mensajes de otros
+ALTER TABLE conversation_participants
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'member';
+
+-- "Para mí": mensajes ocultos por usuario
+CREATE TABLE message_hidden (
+  message_id INT NOT NULL,
+  user_id INT NOT NULL,
+  hidden_at DATETIME NOT NULL,
+  PRIMARY KEY (message_id, user_id),
+  KEY idx_message_hidden_user (user_id, hidden_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- Citas y respuestas en hilo (ChatHandler.prepareOutgoingMessage, handleFetchThread)
+
+ALTER TABLE messages
+  ADD COLUMN reply_to_message_id INT NULL DEFAULT NULL,
+  ADD COLUMN thread_root_id INT NULL DEFAULT NULL,
+  ADD COLUMN thread_reply_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN thread_last_reply_at DATETIME NULL DEFAULT NULL,
+  ADD KEY idx_messages_thread (thread_root_id, id);
@@ -0,0 +1,9 @@
+-- Reacciones con emoji (ChatHandler.handleAddReaction, handleRemoveReaction)
+
+CREATE TABLE message_reactions (
+  message_id INT NOT NULL,
+  user_id INT NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (message_id, user_id, emoji)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
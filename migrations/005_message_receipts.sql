@@ -0,0 +1,9 @@
+-- Confirmaciones de entrega y lectura por mensaje (ChatHandler.handleDeliveryAck, handleMarkRead)
+
+CREATE TABLE message_receipts (
+  message_id INT NOT NULL,
+  user_id INT NOT NULL,
+  delivered_at DATETIME NULL DEFAULT NULL,
+  read_at DATETIME NULL DEFAULT NULL,
+  PRIMARY KEY (message_id, user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
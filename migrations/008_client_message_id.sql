@@ -0,0 +1,6 @@
+-- Envíos idempotentes con clientMessageId (ChatHandler.handleSendMessage)
+
+-- El índice único hace que dos reintentos simultáneos guarden un solo mensaje
+ALTER TABLE messages
+  ADD COLUMN client_message_id VARCHAR(64) NULL DEFAULT NULL,
+  ADD UNIQUE KEY uq_messages_client_id (sender_id, conversation_id, client_message_id);
@@ -0,0 +1,22 @@
+-- Adjuntos de mensajes (AttachmentHandler, attachmentService)
+
+-- message_id queda NULL desde la subida hasta que se envía el mensaje; los reenvíos
+-- crean filas nuevas que comparten storage_key con el original
+CREATE TABLE attachments (
+  id INT NOT NULL AUTO_INCREMENT,
+  conversation_id INT NOT NULL,
+  message_id INT NULL DEFAULT NULL,
+  uploader_id INT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(127) NOT NULL,
+  size_bytes BIGINT UNSIGNED NOT NULL,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255) NULL DEFAULT NULL,
+  width INT NULL DEFAULT NULL,
+  height INT NULL DEFAULT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_attachments_message (message_id),
+  KEY idx_attachments_unlinked (message_id, created_at),
+  KEY idx_attachments_storage_key (storage_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
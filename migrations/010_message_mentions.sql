@@ -0,0 +1,8 @@
+-- Menciones @usuario (ChatHandler.extractMentions, saveMentions)
+
+CREATE TABLE message_mentions (
+  message_id INT NOT NULL,
+  user_id INT NOT NULL,
+  PRIMARY KEY (message_id, user_id),
+  KEY idx_message_mentions_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- Presencia con estado manual y estado personalizado (PresenceHandler.handleSetPresence)
+
+ALTER TABLE user_online_status
+  ADD COLUMN presence_status VARCHAR(20) NULL DEFAULT NULL,
+  ADD COLUMN custom_status VARCHAR(100) NULL DEFAULT NULL,
+  ADD COLUMN custom_status_expires_at DATETIME NULL DEFAULT NULL;
@@ -0,0 +1,5 @@
+-- Gestión de participantes en vivo (ConversationHandler)
+
+-- Orden de ingreso: si el último admin sale, se promueve al participante más antiguo
+ALTER TABLE conversation_participants
+  ADD COLUMN joined_at DATETIME NULL DEFAULT NULL;
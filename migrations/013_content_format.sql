@@ -0,0 +1,8 @@
+-- Formato de texto enriquecido compartido entre chat y soporte (richTextService)
+
+-- Los mensajes anteriores eran texto con HTML escapado
+ALTER TABLE messages
+  ADD COLUMN content_format VARCHAR(20) NOT NULL DEFAULT 'html_escaped';
+
+ALTER TABLE support_messages
+  ADD COLUMN content_format VARCHAR(20) NOT NULL DEFAULT 'html_escaped';
@@ -0,0 +1,21 @@
+-- Mensajes programados (ScheduledMessageHandler)
+
+-- status: pending, sending, sent, failed, cancelled
+CREATE TABLE scheduled_messages (
+  id INT NOT NULL AUTO_INCREMENT,
+  conversation_id INT NOT NULL,
+  sender_id INT NOT NULL,
+  content TEXT NOT NULL,
+  message_type VARCHAR(20) NOT NULL DEFAULT 'text',
+  reply_to_message_id INT NULL DEFAULT NULL,
+  thread_root_id INT NULL DEFAULT NULL,
+  send_at DATETIME NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  error VARCHAR(255) NULL DEFAULT NULL,
+  message_id INT NULL DEFAULT NULL,
+  sent_at DATETIME NULL DEFAULT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_scheduled_due (status, send_at),
+  KEY idx_scheduled_sender (sender_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
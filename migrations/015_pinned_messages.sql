@@ -0,0 +1,10 @@
+-- Mensajes fijados por conversación (ChatHandler.handlePinMessage)
+
+CREATE TABLE pinned_messages (
+  conversation_id INT NOT NULL,
+  message_id INT NOT NULL,
+  pinned_by INT NOT NULL,
+  pinned_at DATETIME NOT NULL,
+  PRIMARY KEY (conversation_id, message_id),
+  KEY idx_pinned_messages_message (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,15 @@
+-- Silencio por conversación y horas de silencio globales (notificationPreferencesService)
+
+ALTER TABLE conversation_participants
+  ADD COLUMN muted_until DATETIME NULL DEFAULT NULL,
+  ADD COLUMN muted_forever TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN mentions_only TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Horas de silencio en la zona horaria del usuario (el rango puede cruzar la medianoche)
+CREATE TABLE user_notification_settings (
+  user_id INT NOT NULL,
+  quiet_hours_start TIME NULL DEFAULT NULL,
+  quiet_hours_end TIME NULL DEFAULT NULL,
+  timezone VARCHAR(64) NULL DEFAULT NULL,
+  PRIMARY KEY (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
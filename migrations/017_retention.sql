@@ -0,0 +1,12 @@
+-- Mensajes temporales y políticas de retención (RetentionHandler)
+
+-- retention_mode: 'ttl' | 'max_age' | NULL (sin política)
+ALTER TABLE conversations
+  ADD COLUMN retention_mode VARCHAR(10) NULL DEFAULT NULL,
+  ADD COLUMN retention_seconds INT NULL DEFAULT NULL;
+
+-- deleted_reason: 'expired' cuando lo eliminó el barrido de retención
+ALTER TABLE messages
+  ADD COLUMN expires_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN deleted_reason VARCHAR(20) NULL DEFAULT NULL,
+  ADD KEY idx_messages_expires (expires_at);
@@ -0,0 +1,20 @@
+-- Comando /task create (commands/task.js)
+
+-- La tabla `tasks` es del API: este archivo no la modifica, solo documenta las columnas
+-- que el servidor escribe directamente. Cualquier cambio de esas columnas en el API
+-- (nombre, tipo o valores de `status`) debe reflejarse en commands/task.js.
+--
+--   project_id   id del proyecto de la conversación (conversations.project_id)
+--   title        texto, hasta 255 caracteres
+--   assigned_to  id del usuario mencionado, o NULL si no se asignó
+--   created_by   id del usuario que ejecutó el comando
+--   status       siempre 'pending' al crear
+--   created_at   NOW() del servidor de base de datos
+--
+-- Las demás columnas de `tasks` deben tener valor por defecto o admitir NULL.
+-- Consulta para verificar el contrato antes de desplegar:
+
+SELECT COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'tasks'
+  AND COLUMN_NAME IN ('project_id', 'title', 'assigned_to', 'created_by', 'status', 'created_at');
@@ -0,0 +1,7 @@
+-- Reenvío de mensajes (ChatHandler.handleForwardMessage)
+
+-- Origen del reenvío, copiado al guardar para que siga visible si el original se elimina
+ALTER TABLE messages
+  ADD COLUMN forwarded_message_id INT NULL DEFAULT NULL,
+  ADD COLUMN forwarded_sender_id INT NULL DEFAULT NULL,
+  ADD COLUMN forwarded_created_at DATETIME NULL DEFAULT NULL;
@@ -0,0 +1,4 @@
+-- Búsqueda de mensajes (SearchHandler.searchMessages usa MATCH ... AGAINST en boolean mode)
+
+ALTER TABLE messages
+  ADD FULLTEXT KEY ft_messages_content (content);
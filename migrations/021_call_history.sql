@@ -0,0 +1,30 @@
+-- Historial de llamadas y llamadas perdidas (callHistoryService)
+
+-- id es el callId generado por CallHandler (call_<timestamp>_<aleatorio>)
+CREATE TABLE calls (
+  id VARCHAR(64) NOT NULL,
+  host_id INT NOT NULL,
+  call_type VARCHAR(10) NOT NULL DEFAULT 'audio',
+  conversation_id INT NULL DEFAULT NULL,
+  started_at DATETIME NOT NULL,
+  answered_at DATETIME NULL DEFAULT NULL,
+  ended_at DATETIME NULL DEFAULT NULL,
+  end_reason VARCHAR(30) NULL DEFAULT NULL,
+  duration_seconds INT NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY idx_calls_started (started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- role: host | invitee; status: ringing, joined, left, rejected, missed, busy
+CREATE TABLE call_participants (
+  call_id VARCHAR(64) NOT NULL,
+  user_id INT NOT NULL,
+  role VARCHAR(10) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  invited_at DATETIME NOT NULL,
+  joined_at DATETIME NULL DEFAULT NULL,
+  left_at DATETIME NULL DEFAULT NULL,
+  missed_seen_at DATETIME NULL DEFAULT NULL,
+  PRIMARY KEY (call_id, user_id),
+  KEY idx_call_participants_user (user_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
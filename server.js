@@ -6,6 +6,14 @@ const { socketAuthMiddleware } = require('./middleware/auth');
 const ChatHandler = require('./handlers/chatHandler');
 const CallHandler = require('./handlers/callHandler');
 const SupportHandler = require('./handlers/supportHandler');
+const AttachmentHandler = require('./handlers/attachmentHandler');
+const PresenceHandler = require('./handlers/presenceHandler');
+const ConversationHandler = require('./handlers/conversationHandler');
+const ScheduledMessageHandler = require('./handlers/scheduledMessageHandler');
+const NotificationSettingsHandler = require('./handlers/notificationSettingsHandler');
+const RetentionHandler = require('./handlers/retentionHandler');
+const CommandHandler = require('./handlers/commandHandler');
+const SearchHandler = require('./handlers/searchHandler');
 
 const PORT = process.env.PORT || 3001;
 
@@ -17,6 +25,12 @@ const httpServer = createServer((req, res) => {
     res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
     return;
   }
+
+  // Subida y descarga de adjuntos de chat
+  if (attachmentHandler.handleRequest(req, res)) {
+    return;
+  }
+
   res.writeHead(404);
   res.end('Not Found');
 });
@@ -56,8 +70,20 @@ io.use(socketAuthMiddleware);
 
 // Inicializar handlers
 const chatHandler = new ChatHandler(io);
-const callHandler = new CallHandler(io);
+const callHandler = new CallHandler(io, chatHandler);
 const supportHandler = new SupportHandler(io);
+const attachmentHandler = new AttachmentHandler(chatHandler);
+const presenceHandler = new PresenceHandler(io, chatHandler);
+const conversationHandler = new ConversationHandler(io, chatHandler);
+const scheduledMessageHandler = new ScheduledMessageHandler(io, chatHandler);
+const notificationSettingsHandler = new NotificationSettingsHandler(chatHandler);
+const retentionHandler = new RetentionHandler(io, chatHandler);
+const commandHandler = new CommandHandler(io, chatHandler, {
+  call: callHandler,
+  scheduled: scheduledMessageHandler
+});
+chatHandler.setCommandHandler(commandHandler);
+const searchHandler = new SearchHandler(chatHandler);
 
 // ===== NAMESPACE DE WIDGET (sin autenticación) =====
 const widgetNamespace = io.of('/support-widget');
@@ -97,8 +123,63 @@ io.on('connection', async (socket) => {
   // ===== EVENTOS DE CHAT =====
 
   // Evento: Enviar mensaje
-  socket.on('send_message', (data) => {
-    chatHandler.handleSendMessage(socket, data);
+  socket.on('send_message', (data, callback) => {
+    chatHandler.handleSendMessage(socket, data, callback);
+  });
+
+  // Evento: Obtener historial paginado (respuesta vía ack)
+  socket.on('fetch_messages', (data, callback) => {
+    chatHandler.handleFetchMessages(socket, data, callback);
+  });
+
+  // Evento: Sincronizar eventos perdidos tras reconectar (respuesta vía ack)
+  socket.on('sync', (data, callback) => {
+    chatHandler.handleSync(socket, data, callback);
+  });
+
+  // Evento: Buscar mensajes en las conversaciones del usuario (respuesta vía ack)
+  socket.on('search_messages', (data, callback) => {
+    searchHandler.handleSearchMessages(socket, data, callback);
+  });
+
+  // Evento: Reenviar mensajes a otra conversación (respuesta vía ack)
+  socket.on('forward_message', (data, callback) => {
+    chatHandler.handleForwardMessage(socket, data, callback);
+  });
+
+  // Evento: Editar mensaje
+  socket.on('edit_message', (data) => {
+    chatHandler.handleEditMessage(socket, data);
+  });
+
+  // Evento: Obtener historial de ediciones de un mensaje
+  socket.on('get_message_revisions', (data) => {
+    chatHandler.handleGetMessageRevisions(socket, data);
+  });
+
+  // Evento: Abrir hilo de respuestas
+  socket.on('join_thread', (data) => {
+    chatHandler.handleJoinThread(socket, data);
+  });
+
+  // Evento: Cerrar hilo de respuestas
+  socket.on('leave_thread', (data) => {
+    chatHandler.handleLeaveThread(socket, data);
+  });
+
+  // Evento: Obtener respuestas de un hilo
+  socket.on('fetch_thread', (data) => {
+    chatHandler.handleFetchThread(socket, data);
+  });
+
+  // Evento: Agregar reacción a un mensaje
+  socket.on('add_reaction', (data) => {
+    chatHandler.handleAddReaction(socket, data);
+  });
+
+  // Evento: Quitar reacción de un mensaje
+  socket.on('remove_reaction', (data) => {
+    chatHandler.handleRemoveReaction(socket, data);
   });
 
   // Evento: Escribiendo
@@ -111,19 +192,122 @@ io.on('connection', async (socket) => {
     chatHandler.handleMarkRead(socket, data);
   });
 
+  // Evento: Fijar mensaje
+  socket.on('pin_message', (data, callback) => {
+    chatHandler.handlePinMessage(socket, data, callback);
+  });
+
+  // Evento: Desfijar mensaje
+  socket.on('unpin_message', (data, callback) => {
+    chatHandler.handleUnpinMessage(socket, data, callback);
+  });
+
+  // Evento: Obtener mensajes fijados de una conversación
+  socket.on('get_pinned_messages', (data, callback) => {
+    chatHandler.handleGetPinnedMessages(socket, data, callback);
+  });
+
+  // Evento: Obtener entregados / vistos de un mensaje
+  socket.on('get_message_receipts', (data) => {
+    chatHandler.handleGetMessageReceipts(socket, data);
+  });
+
   // Evento: Unirse a conversación
   socket.on('join_conversation', (data) => {
     chatHandler.handleJoinConversation(socket, data);
   });
 
-  // Evento: Mensaje eliminado (notificar a otros)
+  // Evento: Eliminar mensaje (valida permisos y hace soft-delete)
+  socket.on('delete_message', (data) => {
+    chatHandler.handleDeleteMessage(socket, data);
+  });
+
+  // Evento: Mensaje eliminado (compatibilidad con clientes anteriores)
   socket.on('message_deleted', (data) => {
-    const { conversationId, messageId } = data;
-    socket.to(`conversation_${conversationId}`).emit('message_deleted', {
-      conversationId,
-      messageId,
-      deletedBy: socket.userId
-    });
+    chatHandler.handleDeleteMessage(socket, { ...data, scope: 'everyone' });
+  });
+
+  // Evento: Comandos disponibles para autocompletado
+  socket.on('list_commands', (data, callback) => {
+    commandHandler.handleListCommands(socket, data, callback);
+  });
+
+  // ===== EVENTOS DE MENSAJES PROGRAMADOS =====
+
+  // Evento: Programar mensaje
+  socket.on('schedule_message', (data, callback) => {
+    scheduledMessageHandler.handleScheduleMessage(socket, data, callback);
+  });
+
+  // Evento: Listar mensajes programados pendientes
+  socket.on('list_scheduled', (data, callback) => {
+    scheduledMessageHandler.handleListScheduled(socket, data, callback);
+  });
+
+  // Evento: Cancelar mensaje programado
+  socket.on('cancel_scheduled', (data, callback) => {
+    scheduledMessageHandler.handleCancelScheduled(socket, data, callback);
+  });
+
+  // ===== EVENTOS DE CONVERSACIONES =====
+
+  // Evento: Crear conversación directa o grupal
+  socket.on('create_conversation', (data, callback) => {
+    conversationHandler.handleCreateConversation(socket, data, callback);
+  });
+
+  // Evento: Agregar participantes a un grupo
+  socket.on('add_participants', (data, callback) => {
+    conversationHandler.handleAddParticipants(socket, data, callback);
+  });
+
+  // Evento: Quitar participante de un grupo
+  socket.on('remove_participant', (data, callback) => {
+    conversationHandler.handleRemoveParticipant(socket, data, callback);
+  });
+
+  // Evento: Salir de un grupo
+  socket.on('leave_conversation', (data, callback) => {
+    conversationHandler.handleLeaveConversation(socket, data, callback);
+  });
+
+  // Evento: Configurar política de retención (solo admins)
+  socket.on('set_retention_policy', (data, callback) => {
+    retentionHandler.handleSetRetentionPolicy(socket, data, callback);
+  });
+
+  // Evento: Consultar política de retención
+  socket.on('get_retention_policy', (data, callback) => {
+    retentionHandler.handleGetRetentionPolicy(socket, data, callback);
+  });
+
+  // ===== EVENTOS DE PRESENCIA =====
+
+  // Evento: Cambiar estado (online, away, dnd) y estado personalizado
+  socket.on('set_presence', (data, callback) => {
+    presenceHandler.handleSetPresence(socket, data, callback);
+  });
+
+  // Evento: Consultar presencia de una lista de usuarios
+  socket.on('get_presence', (data, callback) => {
+    presenceHandler.handleGetPresence(socket, data, callback);
+  });
+
+  // ===== EVENTOS DE PREFERENCIAS DE NOTIFICACIÓN =====
+
+  // Evento: Silenciar conversación / modo solo menciones
+  socket.on('set_conversation_notifications', (data, callback) => {
+    notificationSettingsHandler.handleSetConversationNotifications(socket, data, callback);
+  });
+
+  // Evento: Configurar horas de silencio y zona horaria
+  socket.on('set_notification_settings', (data, callback) => {
+    notificationSettingsHandler.handleSetNotificationSettings(socket, data, callback);
+  });
+
+  // Evento: Consultar preferencias de notificación
+  socket.on('get_notification_settings', (data, callback) => {
+    notificationSettingsHandler.handleGetNotificationSettings(socket, data, callback);
   });
 
   // ===== EVENTOS DE SOPORTE (para agentes) =====
@@ -195,11 +379,41 @@ io.on('connection', async (socket) => {
     callHandler.handleAddParticipant(socket, data);
   });
 
+  // Evento: Volver a la llamada tras una desconexión breve
+  socket.on('call_rejoin', (data) => {
+    callHandler.handleCallRejoin(socket, data);
+  });
+
+  // Evento: Transferir el rol de host
+  socket.on('call_transfer_host', (data) => {
+    callHandler.handleCallTransferHost(socket, data);
+  });
+
+  // Evento: Pasar la llamada en curso a este dispositivo
+  socket.on('call_handoff', (data) => {
+    callHandler.handleCallHandoff(socket, data);
+  });
+
   // Evento: Obtener info de llamada actual
   socket.on('call_get_info', () => {
     callHandler.handleGetCallInfo(socket);
   });
 
+  // Evento: Historial de llamadas recientes (respuesta vía ack)
+  socket.on('get_call_history', (data, callback) => {
+    callHandler.handleGetCallHistory(socket, data, callback);
+  });
+
+  // Evento: Cantidad de llamadas perdidas sin ver (respuesta vía ack)
+  socket.on('get_missed_calls_count', (data, callback) => {
+    callHandler.handleGetMissedCallsCount(socket, data, callback);
+  });
+
+  // Evento: Marcar llamadas perdidas como vistas
+  socket.on('mark_missed_calls_seen', (data, callback) => {
+    callHandler.handleMarkMissedCallsSeen(socket, data, callback);
+  });
+
   // Evento: Mensaje de chat en llamada
   socket.on('call_chat_message', (data) => {
     callHandler.handleCallChatMessage(socket, data);
@@ -216,6 +430,7 @@ io.on('connection', async (socket) => {
   socket.on('disconnect', async (reason) => {
     console.log(`Desconexión: Usuario ${socket.userId}, razón: ${reason}`);
     await chatHandler.handleDisconnection(socket);
+    await presenceHandler.handleDisconnection(socket);
     callHandler.handleDisconnection(socket);
     supportHandler.handleAgentDisconnection(socket);
   });
@@ -224,6 +439,10 @@ io.on('connection', async (socket) => {
   socket.on('error', (error) => {
     console.error(`Error en socket ${socket.id}:`, error);
   });
+
+  // Presencia y llamadas después de registrar los eventos, para no perder lo que el cliente envíe mientras tanto
+  await presenceHandler.handleConnection(socket);
+  callHandler.handleConnection(socket);
 });
 
 // Exportar supportHandler para uso en API (notificaciones de IA)
@@ -234,6 +453,11 @@ httpServer.listen(PORT, () => {
   console.log(`WebSocket Server corriendo en puerto ${PORT}`);
   console.log(`Frontend URL: ${process.env.FRONTEND_URL}`);
   console.log(`Support Widget namespace: /support-widget`);
+
+  // Iniciar envío de mensajes programados
+  scheduledMessageHandler.start();
+  retentionHandler.start();
+  attachmentHandler.start();
 });
 
 // Manejar errores no capturados
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const db = require('../config/database');
+const storage = require('./storageService');
+
+// Tipos permitidos y firma (magic bytes) esperada para los que se pueden verificar
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/gif': [0x47, 0x49, 0x46, 0x38],
+  'image/webp': [0x52, 0x49, 0x46, 0x46],
+  'application/pdf': [0x25, 0x50, 0x44, 0x46],
+  'application/zip': [0x50, 0x4b, 0x03, 0x04],
+  'application/msword': null,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [0x50, 0x4b, 0x03, 0x04],
+  'application/vnd.ms-excel': null,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [0x50, 0x4b, 0x03, 0x04],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': [0x50, 0x4b, 0x03, 0x04],
+  'text/plain': null,
+  'text/csv': null,
+  'audio/mpeg': null,
+  'audio/mp4': null,
+  'audio/ogg': null,
+  'audio/webm': null,
+  'video/mp4': null,
+  'video/webm': null
+};
+
+const THUMBNAIL_SIZE = 320;
+
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class AttachmentService {
+  constructor() {
+    this.maxSize = parseInt(process.env.MAX_ATTACHMENT_SIZE, 10) || 25 * 1024 * 1024;
+  }
+
+  isImage(mimeType) {
+    return typeof mimeType === 'string' && mimeType.startsWith('image/');
+  }
+
+  // Validar tipo y tamaño declarados antes de recibir el archivo
+  validate(mimeType, declaredSize) {
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_MIME_TYPES, mimeType)) {
+      throw new AttachmentError(415, 'Tipo de archivo no permitido');
+    }
+    if (declaredSize && declaredSize > this.maxSize) {
+      throw new AttachmentError(413, 'El archivo supera el tamaño máximo permitido');
+    }
+  }
+
+  // Nombre seguro para mostrar y para Content-Disposition
+  sanitizeFileName(fileName) {
+    const base = path.basename(String(fileName || 'archivo'));
+    const clean = base.replace(/[\u0000-\u001f"\\/<>|:*?]/g, '_').trim();
+    return (clean || 'archivo').substring(0, 255);
+  }
+
+  // Guardar un archivo recibido como stream: verifica tamaño y firma, genera miniatura y lo registra
+  async saveUpload(stream, { conversationId, uploaderId, fileName, mimeType, declaredSize }) {
+    this.validate(mimeType, declaredSize);
+
+    const now = new Date();
+    const storageKey = `${conversationId}/${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}`;
+    const maxSize = this.maxSize;
+    let size = 0;
+    let tooLarge = false;
+    let head = Buffer.alloc(0);
+
+    // Contar bytes y guardar la cabecera para verificar la firma. Si se pasa del máximo el resto
+    // se descarta sin cortar la petición, para que el cliente reciba el 413 y no un reset
+    const guard = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        if (tooLarge || size > maxSize) {
+          tooLarge = true;
+          done();
+          return;
+        }
+        if (head.length < 16) {
+          head = Buffer.concat([head, chunk.subarray(0, 16 - head.length)]);
+        }
+        done(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, guard, storage.createWriteStream(storageKey));
+
+      if (tooLarge) {
+        throw new AttachmentError(413, 'El archivo supera el tamaño máximo permitido');
+      }
+
+      if (size === 0) {
+        throw new AttachmentError(400, 'El archivo está vacío');
+      }
+
+      const signature = ALLOWED_MIME_TYPES[mimeType];
+      if (signature && !signature.every((byte, i) => head[i] === byte)) {
+        throw new AttachmentError(415, 'El contenido no coincide con el tipo de archivo');
+      }
+    } catch (error) {
+      await storage.remove(storageKey);
+      throw error;
+    }
+
+    let thumbnail = null;
+    if (this.isImage(mimeType)) {
+      thumbnail = await this.createThumbnail(storageKey);
+    }
+
+    let result;
+    try {
+      [result] = await db.execute(
+        `INSERT INTO attachments
+           (conversation_id, uploader_id, file_name, mime_type, size_bytes, storage_key, thumbnail_key, width, height, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          conversationId,
+          uploaderId,
+          this.sanitizeFileName(fileName),
+          mimeType,
+          size,
+          storageKey,
+          thumbnail ? thumbnail.key : null,
+          thumbnail ? thumbnail.width : null,
+          thumbnail ? thumbnail.height : null
+        ]
+      );
+    } catch (error) {
+      // Sin fila que lo referencie el archivo quedaría huérfano en el almacenamiento
+      await storage.remove(storageKey);
+      if (thumbnail) {
+        await storage.remove(thumbnail.key);
+      }
+      throw error;
+    }
+
+    return this.getAttachment(result.insertId);
+  }
+
+  // Miniatura JPEG; si la imagen no se puede procesar el adjunto se guarda sin ella
+  async createThumbnail(storageKey) {
+    const key = `${storageKey}_thumb`;
+    try {
+      const chunks = [];
+      for await (const chunk of storage.createReadStream(storageKey)) {
+        chunks.push(chunk);
+      }
+
+      const image = sharp(Buffer.concat(chunks));
+      const metadata = await image.metadata();
+      const thumbnail = await image
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+      await pipeline(Readable.from([thumbnail]), storage.createWriteStream(key));
+
+      return { key, width: metadata.width || null, height: metadata.height || null };
+    } catch (error) {
+      console.error('[ATTACHMENT] Error generando miniatura:', error.message);
+      await storage.remove(key);
+      return null;
+    }
+  }
+
+  async getAttachment(attachmentId) {
+    const [rows] = await db.execute('SELECT * FROM attachments WHERE id = ?', [attachmentId]);
+    return rows[0] || null;
+  }
+
+  // Adjuntos que el remitente puede asociar a un mensaje nuevo (propios, de la conversación y sin usar)
+  async getAttachableAttachments(attachmentIds, conversationId, uploaderId) {
+    if (attachmentIds.length === 0) return [];
+
+    const placeholders = attachmentIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT * FROM attachments
+       WHERE id IN (${placeholders}) AND conversation_id = ? AND uploader_id = ? AND message_id IS NULL`,
+      [...attachmentIds, conversationId, uploaderId]
+    );
+    return rows;
+  }
+
+  async linkToMessage(attachmentIds, messageId) {
+    if (attachmentIds.length === 0) return;
+
+    const placeholders = attachmentIds.map(() => '?').join(',');
+    await db.execute(
+      `UPDATE attachments SET message_id = ? WHERE id IN (${placeholders}) AND message_id IS NULL`,
+      [messageId, ...attachmentIds]
+    );
+  }
+
+  // Adjuntos por mensaje: messageId -> [attachment]
+  async getByMessageIds(messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const placeholders = messageIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT * FROM attachments WHERE message_id IN (${placeholders}) ORDER BY id ASC`,
+      messageIds
+    );
+
+    for (const row of rows) {
+      if (!byMessage.has(row.message_id)) {
+        byMessage.set(row.message_id, []);
+      }
+      byMessage.get(row.message_id).push(this.toPublic(row));
+    }
+    return byMessage;
+  }
+
+  // Copiar los adjuntos de un mensaje al mensaje reenviado (ya guardado). Las copias comparten el archivo
+  async copyForForward(messageId, conversationId, uploaderId, targetMessageId) {
+    const [rows] = await db.execute('SELECT * FROM attachments WHERE message_id = ? ORDER BY id ASC', [messageId]);
+
+    const copies = [];
+    for (const row of rows) {
+      const [result] = await db.execute(
+        `INSERT INTO attachments
+           (conversation_id, message_id, uploader_id, file_name, mime_type, size_bytes, storage_key, thumbnail_key, width, height, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [conversationId, targetMessageId, uploaderId, row.file_name, row.mime_type, row.size_bytes, row.storage_key, row.thumbnail_key, row.width, row.height]
+      );
+      copies.push(await this.getAttachment(result.insertId));
+    }
+    return copies;
+  }
+
+  // Borrar filas de los adjuntos de mensajes eliminados definitivamente (retención).
+  // El archivo se borra solo si ningún reenvío lo sigue usando
+  async removeByMessageIds(messageIds) {
+    if (messageIds.length === 0) return;
+
+    const placeholders = messageIds.map(() => '?').join(',');
+    const [rows] = await db.execute(
+      `SELECT id, storage_key, thumbnail_key FROM attachments WHERE message_id IN (${placeholders})`,
+      messageIds
+    );
+
+    await db.execute(`DELETE FROM attachments WHERE message_id IN (${placeholders})`, messageIds);
+    await this.removeUnusedFiles(rows);
+  }
+
+  // Borrar subidas que nunca se asociaron a un mensaje (envío cancelado o fallido)
+  async removeOrphanUploads(maxAgeSeconds, limit) {
+    const [rows] = await db.execute(
+      `SELECT id, storage_key, thumbnail_key FROM attachments
+       WHERE message_id IS NULL AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+       ORDER BY id ASC
+       LIMIT ?`,
+      [maxAgeSeconds, String(limit)]
+    );
+    if (rows.length === 0) return 0;
+
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+    await db.execute(`DELETE FROM attachments WHERE id IN (${placeholders}) AND message_id IS NULL`, ids);
+    await this.removeUnusedFiles(rows);
+    return rows.length;
+  }
+
+  // El archivo se borra solo si ninguna otra fila (p.ej. un reenvío) lo sigue usando
+  async removeUnusedFiles(rows) {
+    for (const row of rows) {
+      const [shared] = await db.execute(
+        'SELECT COUNT(*) as total FROM attachments WHERE storage_key = ?',
+        [row.storage_key]
+      );
+      if (shared[0].total > 0) continue;
+
+      await storage.remove(row.storage_key);
+      if (row.thumbnail_key) {
+        await storage.remove(row.thumbnail_key);
+      }
+    }
+  }
+
+  // Datos del adjunto que se envían al cliente
+  toPublic(attachment) {
+    return {
+      id: attachment.id,
+      fileName: attachment.file_name,
+      mimeType: attachment.mime_type,
+      size: attachment.size_bytes,
+      width: attachment.width,
+      height: attachment.height,
+      url: `/attachments/${attachment.id}`,
+      thumbnailUrl: attachment.thumbnail_key ? `/attachments/${attachment.id}/thumbnail` : null
+    };
+  }
+
+  // Texto corto para notificaciones de mensajes sin contenido
+  describe(attachments) {
+    if (!attachments || attachments.length === 0) return '';
+    if (attachments.every(a => this.isImage(a.mimeType || a.mime_type))) {
+      return attachments.length > 1 ? `📎 ${attachments.length} fotos` : '📎 Foto';
+    }
+    return attachments.length > 1 ? `📎 ${attachments.length} archivos` : '📎 Archivo';
+  }
+
+  createReadStream(key) {
+    return storage.createReadStream(key);
+  }
+}
+
+module.exports = new AttachmentService();
+module.exports.AttachmentError = AttachmentError;
@@ -0,0 +1,205 @@
+const db = require('../config/database');
+
+// Historial persistente de llamadas. El estado vivo sigue en CallHandler.activeCalls;
+// aquí solo se registra lo ocurrido. Los errores se registran y no interrumpen la llamada.
+//
+// calls:             id (callId), host_id, call_type, conversation_id, started_at, answered_at, ended_at, end_reason, duration_seconds
+// call_participants: call_id, user_id, role ('host'|'invitee'), status, invited_at, joined_at, left_at, missed_seen_at
+//   status: ringing, joined, left, rejected, missed, busy
+class CallHistoryService {
+  async recordCallStarted(call) {
+    try {
+      await db.execute(
+        `INSERT INTO calls (id, host_id, call_type, conversation_id, started_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [call.callId, call.hostId, call.callType, call.conversationId || null, new Date(call.startTime)]
+      );
+      await db.execute(
+        `INSERT INTO call_participants (call_id, user_id, role, status, invited_at, joined_at)
+         VALUES (?, ?, 'host', 'joined', NOW(), NOW())`,
+        [call.callId, call.hostId]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error registrando llamada:', error);
+    }
+  }
+
+  // Registrar (o volver a invitar) a un usuario con el estado inicial de su invitación
+  async recordInvite(callId, userId, status = 'ringing') {
+    try {
+      await db.execute(
+        `INSERT INTO call_participants (call_id, user_id, role, status, invited_at)
+         VALUES (?, ?, 'invitee', ?, NOW())
+         ON DUPLICATE KEY UPDATE status = VALUES(status), invited_at = NOW()`,
+        [callId, userId, status]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error registrando invitación:', error);
+    }
+  }
+
+  async recordJoined(callId, userId) {
+    try {
+      await db.execute(
+        `UPDATE call_participants
+         SET status = 'joined', joined_at = COALESCE(joined_at, NOW()), left_at = NULL
+         WHERE call_id = ? AND user_id = ?`,
+        [callId, userId]
+      );
+      await db.execute(
+        'UPDATE calls SET answered_at = COALESCE(answered_at, NOW()) WHERE id = ?',
+        [callId]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error registrando ingreso:', error);
+    }
+  }
+
+  async recordLeft(callId, userId) {
+    try {
+      await db.execute(
+        `UPDATE call_participants SET status = 'left', left_at = NOW()
+         WHERE call_id = ? AND user_id = ? AND status = 'joined'`,
+        [callId, userId]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error registrando salida:', error);
+    }
+  }
+
+  // Resultado de una invitación que nunca se contestó (rejected, missed)
+  async recordInviteOutcome(callId, userId, status) {
+    try {
+      await db.execute(
+        `UPDATE call_participants SET status = ?
+         WHERE call_id = ? AND user_id = ? AND status = 'ringing'`,
+        [status, callId, userId]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error registrando resultado de invitación:', error);
+    }
+  }
+
+  // Cerrar la llamada: quienes seguían dentro salen y quienes seguían sonando quedan como perdidas
+  async recordCallEnded(callId, reason) {
+    try {
+      await db.execute(
+        `UPDATE call_participants SET status = 'left', left_at = NOW()
+         WHERE call_id = ? AND status = 'joined'`,
+        [callId]
+      );
+      await db.execute(
+        `UPDATE call_participants SET status = 'missed'
+         WHERE call_id = ? AND status = 'ringing'`,
+        [callId]
+      );
+      await db.execute(
+        `UPDATE calls
+         SET ended_at = NOW(), end_reason = ?,
+             duration_seconds = IF(answered_at IS NULL, 0, TIMESTAMPDIFF(SECOND, answered_at, NOW()))
+         WHERE id = ?`,
+        [reason, callId]
+      );
+    } catch (error) {
+      console.error('[CALL HISTORY] Error cerrando llamada:', error);
+    }
+  }
+
+  // Conversación directa entre dos usuarios (para llamadas 1 a 1 sin conversationId)
+  async findDirectConversation(userId, otherUserId) {
+    try {
+      const [rows] = await db.execute(
+        `SELECT c.id
+         FROM conversations c
+         JOIN conversation_participants cp1 ON cp1.conversation_id = c.id AND cp1.user_id = ?
+         JOIN conversation_participants cp2 ON cp2.conversation_id = c.id AND cp2.user_id = ?
+         WHERE c.type = 'direct'
+         LIMIT 1`,
+        [userId, otherUserId]
+      );
+      return rows.length > 0 ? rows[0].id : null;
+    } catch (error) {
+      console.error('[CALL HISTORY] Error buscando conversación directa:', error);
+      return null;
+    }
+  }
+
+  // Llamadas recientes del usuario (como host o invitado), más nuevas primero
+  async getRecentCalls(userId, { before = null, limit }) {
+    const params = [userId];
+    let cursorClause = '';
+    if (before) {
+      cursorClause = 'AND c.started_at < ?';
+      params.push(before);
+    }
+    params.push(String(limit));
+
+    const [calls] = await db.execute(
+      `SELECT c.*, u.name as host_name, cp.status as my_status
+       FROM calls c
+       JOIN call_participants cp ON cp.call_id = c.id AND cp.user_id = ?
+       JOIN users u ON u.id = c.host_id
+       WHERE 1 = 1 ${cursorClause}
+       ORDER BY c.started_at DESC
+       LIMIT ?`,
+      params
+    );
+    if (calls.length === 0) return [];
+
+    const placeholders = calls.map(() => '?').join(',');
+    const [participants] = await db.execute(
+      `SELECT cp.call_id, cp.user_id, cp.role, cp.status, cp.invited_at, cp.joined_at, cp.left_at, u.name
+       FROM call_participants cp
+       JOIN users u ON u.id = cp.user_id
+       WHERE cp.call_id IN (${placeholders})
+       ORDER BY cp.invited_at ASC`,
+      calls.map(c => c.id)
+    );
+
+    return calls.map(call => ({
+      callId: call.id,
+      callType: call.call_type,
+      conversationId: call.conversation_id,
+      hostId: call.host_id,
+      hostName: call.host_name,
+      direction: call.host_id === userId ? 'outgoing' : 'incoming',
+      status: call.my_status,
+      startedAt: call.started_at,
+      answeredAt: call.answered_at,
+      endedAt: call.ended_at,
+      endReason: call.end_reason,
+      durationSeconds: call.duration_seconds,
+      participants: participants
+        .filter(p => p.call_id === call.id)
+        .map(p => ({
+          userId: p.user_id,
+          name: p.name,
+          role: p.role,
+          status: p.status,
+          invitedAt: p.invited_at,
+          joinedAt: p.joined_at,
+          leftAt: p.left_at
+        }))
+    }));
+  }
+
+  // Llamadas perdidas que el usuario aún no vio
+  async countUnseenMissed(userId) {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as total FROM call_participants
+       WHERE user_id = ? AND status = 'missed' AND missed_seen_at IS NULL`,
+      [userId]
+    );
+    return rows[0].total;
+  }
+
+  async markMissedSeen(userId) {
+    await db.execute(
+      `UPDATE call_participants SET missed_seen_at = NOW()
+       WHERE user_id = ? AND status = 'missed' AND missed_seen_at IS NULL`,
+      [userId]
+    );
+  }
+}
+
+module.exports = new CallHistoryService();
@@ -0,0 +1,177 @@
+const db = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class NotificationPreferencesService {
+  // ----- Preferencias por conversación (silenciar / solo menciones) -----
+
+  // userId -> { mutedUntil, mutedForever, mentionsOnly }
+  async getConversationPrefs(conversationId, userIds) {
+    const prefs = new Map();
+    if (userIds.length === 0) return prefs;
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT user_id, muted_until, muted_forever, mentions_only
+         FROM conversation_participants
+         WHERE conversation_id = ? AND user_id IN (${placeholders})`,
+        [conversationId, ...userIds]
+      );
+      for (const row of rows) {
+        prefs.set(row.user_id, {
+          mutedUntil: row.muted_until,
+          mutedForever: Boolean(row.muted_forever),
+          mentionsOnly: Boolean(row.mentions_only)
+        });
+      }
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error getting conversation prefs:', error);
+    }
+    return prefs;
+  }
+
+  async setConversationPrefs(conversationId, userId, { mutedUntil, mutedForever, mentionsOnly }) {
+    await db.execute(
+      `UPDATE conversation_participants
+       SET muted_until = ?, muted_forever = ?, mentions_only = ?
+       WHERE conversation_id = ? AND user_id = ?`,
+      [mutedUntil, mutedForever ? 1 : 0, mentionsOnly ? 1 : 0, conversationId, userId]
+    );
+  }
+
+  isMuted(pref, now = new Date()) {
+    if (!pref) return false;
+    return pref.mutedForever || Boolean(pref.mutedUntil && new Date(pref.mutedUntil) > now);
+  }
+
+  // Participantes que deben recibir push de un mensaje de chat según sus preferencias de conversación
+  async filterChatRecipients(conversationId, userIds) {
+    if (userIds.length === 0) return userIds;
+
+    const prefs = await this.getConversationPrefs(conversationId, userIds);
+    const now = new Date();
+    return userIds.filter(userId => {
+      const pref = prefs.get(userId);
+      return !this.isMuted(pref, now) && !(pref && pref.mentionsOnly);
+    });
+  }
+
+  // ----- Preferencias globales (horas de silencio en la zona horaria del usuario) -----
+
+  // userId -> { quietHoursStart, quietHoursEnd, timezone }
+  async getUserSettings(userIds) {
+    const settings = new Map();
+    if (userIds.length === 0) return settings;
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT user_id, quiet_hours_start, quiet_hours_end, timezone
+         FROM user_notification_settings
+         WHERE user_id IN (${placeholders})`,
+        userIds
+      );
+      for (const row of rows) {
+        settings.set(row.user_id, {
+          quietHoursStart: row.quiet_hours_start ? String(row.quiet_hours_start).substring(0, 5) : null,
+          quietHoursEnd: row.quiet_hours_end ? String(row.quiet_hours_end).substring(0, 5) : null,
+          timezone: row.timezone || 'UTC'
+        });
+      }
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error getting user settings:', error);
+    }
+    return settings;
+  }
+
+  async setUserSettings(userId, { quietHoursStart, quietHoursEnd, timezone }) {
+    await db.execute(
+      `INSERT INTO user_notification_settings (user_id, quiet_hours_start, quiet_hours_end, timezone)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE quiet_hours_start = VALUES(quiet_hours_start),
+         quiet_hours_end = VALUES(quiet_hours_end), timezone = VALUES(timezone)`,
+      [userId, quietHoursStart, quietHoursEnd, timezone]
+    );
+  }
+
+  isValidTime(value) {
+    return typeof value === 'string' && TIME_PATTERN.test(value);
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ¿La hora local del usuario cae dentro de sus horas de silencio? (soporta rangos que cruzan medianoche)
+  isInQuietHours(settings, now = new Date()) {
+    if (!settings || !settings.quietHoursStart || !settings.quietHoursEnd) return false;
+
+    const toMinutes = (hhmm) => {
+      const [h, m] = hhmm.split(':').map(Number);
+      return h * 60 + m;
+    };
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: settings.timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = Number(parts.find(p => p.type === 'hour').value) % 24;
+    const minute = Number(parts.find(p => p.type === 'minute').value);
+    const current = hour * 60 + minute;
+
+    const start = toMinutes(settings.quietHoursStart);
+    const end = toMinutes(settings.quietHoursEnd);
+    if (start === end) return false;
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  // Usuarios que no están en horas de silencio
+  async filterQuietHours(userIds) {
+    if (userIds.length === 0) return userIds;
+
+    const settings = await this.getUserSettings(userIds);
+    const now = new Date();
+    return userIds.filter(userId => !this.isInQuietHours(settings.get(userId), now));
+  }
+
+  // ----- Badges -----
+
+  // Mensajes sin leer por usuario en todas sus conversaciones (las silenciadas también cuentan)
+  async getUnreadBadges(userIds) {
+    const badges = new Map();
+    if (userIds.length === 0) return badges;
+
+    try {
+      const placeholders = userIds.map(() => '?').join(',');
+      const [rows] = await db.execute(
+        `SELECT cp.user_id, COUNT(m.id) as unread
+         FROM conversation_participants cp
+         JOIN messages m ON m.conversation_id = cp.conversation_id
+           AND m.sender_id != cp.user_id
+           AND m.deleted_at IS NULL
+           AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+         WHERE cp.user_id IN (${placeholders})
+         GROUP BY cp.user_id`,
+        userIds
+      );
+      for (const row of rows) {
+        badges.set(row.user_id, Number(row.unread));
+      }
+    } catch (error) {
+      console.error('[NOTIFY PREFS] Error getting unread badges:', error);
+    }
+    return badges;
+  }
+}
+
+module.exports = new NotificationPreferencesService();
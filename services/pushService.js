@@ -1,5 +1,8 @@
 const db = require('../config/database');
 const https = require('https');
+const attachmentService = require('./attachmentService');
+const richTextService = require('./richTextService');
+const notificationPreferencesService = require('./notificationPreferencesService');
 
 class PushService {
   constructor() {
@@ -8,7 +11,10 @@ class PushService {
   }
 
   // Enviar notificacion push a traves de Expo
-  async sendPush(tokens, title, body, data = {}, channelId = 'default') {
+  // options: campos adicionales de Expo (p.ej. interruptionLevel); badgeByUser: Map userId -> badge
+  async sendPush(tokens, title, body, data = {}, channelId = 'default', options = {}) {
+    const { badgeByUser, ...extra } = options;
+
     if (!tokens || tokens.length === 0) {
       return { success: false, error: 'No tokens provided' };
     }
@@ -37,7 +43,12 @@ class PushService {
         data: data,
         channelId: channelId,
         priority: 'high',
+        ...extra
       });
+
+      if (badgeByUser && typeof tokenInfo === 'object' && badgeByUser.has(tokenInfo.user_id)) {
+        messages[messages.length - 1].badge = badgeByUser.get(tokenInfo.user_id);
+      }
     }
 
     if (messages.length === 0) {
@@ -118,7 +129,7 @@ class PushService {
   }
 
   // Enviar push a usuarios especificos
-  async sendToUsers(userIds, title, body, data = {}, channelId = 'default') {
+  async sendToUsers(userIds, title, body, data = {}, channelId = 'default', options = {}) {
     const tokens = await this.getTokensByUserIds(userIds);
 
     if (tokens.length === 0) {
@@ -127,7 +138,18 @@ class PushService {
     }
 
     console.log('[PUSH] Enviando a ' + tokens.length + ' dispositivos de ' + userIds.length + ' usuarios');
-    return this.sendPush(tokens, title, body, data, channelId);
+    return this.sendPush(tokens, title, body, data, channelId, options);
+  }
+
+  // Aplicar horas de silencio y calcular el badge de no leídos de cada destinatario.
+  // Las conversaciones silenciadas siguen sumando al badge
+  async prepareChatRecipients(userIds) {
+    const recipients = await notificationPreferencesService.filterQuietHours(userIds);
+    if (recipients.length < userIds.length) {
+      console.log('[PUSH] ' + (userIds.length - recipients.length) + ' usuarios en horas de silencio');
+    }
+    const badgeByUser = await notificationPreferencesService.getUnreadBadges(recipients);
+    return { recipients, badgeByUser };
   }
 
   // Notificar nuevo mensaje de chat
@@ -136,11 +158,16 @@ class PushService {
       return;
     }
 
+    const { recipients, badgeByUser } = await this.prepareChatRecipients(offlineUserIds);
+    if (recipients.length === 0) {
+      return;
+    }
+
     const title = message.sender_name || 'Nuevo mensaje';
-    const body = message.content.substring(0, 100);
+    const body = this.getMessageBody(message);
 
     await this.sendToUsers(
-      offlineUserIds,
+      recipients,
       title,
       body,
       {
@@ -149,7 +176,66 @@ class PushService {
         messageId: message.id,
         senderId: message.sender_id
       },
-      'chat'
+      'chat',
+      { badgeByUser }
+    );
+  }
+
+  // Texto plano del mensaje para el cuerpo del push
+  getMessageBody(message) {
+    const text = richTextService.toPlainText(message.content) || attachmentService.describe(message.attachments);
+    return text.substring(0, 100);
+  }
+
+  // Notificar mención (prioritaria, canal propio para que no se agrupe con el chat)
+  async notifyMention(message, conversationId, userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const { recipients, badgeByUser } = await this.prepareChatRecipients(userIds);
+    if (recipients.length === 0) {
+      return;
+    }
+
+    const title = (message.sender_name || 'Alguien') + ' te mencionó';
+    const body = this.getMessageBody(message);
+
+    await this.sendToUsers(
+      recipients,
+      title,
+      body,
+      {
+        type: 'chat_mention',
+        conversationId: conversationId,
+        messageId: message.id,
+        senderId: message.sender_id
+      },
+      'mentions',
+      { interruptionLevel: 'time-sensitive', badgeByUser }
+    );
+  }
+
+  // Llamada entrante para invitados sin socket (canal propio, prioridad alta).
+  // Lleva el callId para que la app se una al abrirse; expira junto con el timbre
+  async notifyIncomingCall(call, userIds, ttlSeconds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    await this.sendToUsers(
+      userIds,
+      call.callType === 'video' ? 'Videollamada entrante' : 'Llamada entrante',
+      (call.hostName || 'Alguien') + ' te está llamando',
+      {
+        type: 'incoming_call',
+        callId: call.callId,
+        callerId: call.hostId,
+        callerName: call.hostName,
+        callType: call.callType
+      },
+      'calls',
+      { ttl: ttlSeconds, interruptionLevel: 'time-sensitive' }
     );
   }
 
@@ -162,7 +248,7 @@ class PushService {
     await this.sendToUsers(
       agentIds,
       'Soporte: ' + customerName,
-      messageContent.substring(0, 100),
+      richTextService.toPlainText(messageContent).substring(0, 100),
       {
         type: 'support_message',
         sessionId: sessionId,
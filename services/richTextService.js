@@ -0,0 +1,91 @@
+// Formato canónico de texto enriquecido para chat y soporte (subconjunto de markdown):
+//   **negrita**  _cursiva_  `código`  ```bloque de código```  [texto](https://url)
+//   listas con "- " o "1. "
+// El contenido se guarda sin escapar; escapar HTML es responsabilidad de quien lo renderiza.
+
+const MAX_CONTENT_LENGTH = 5000;
+const ALLOWED_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const CONTENT_FORMAT = 'markdown';
+
+class RichTextService {
+  constructor() {
+    this.CONTENT_FORMAT = CONTENT_FORMAT;
+  }
+
+  // Validar y normalizar contenido recibido del cliente
+  normalize(content) {
+    if (content === null || content === undefined) return '';
+
+    let text = String(content)
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      // Quitar caracteres de control excepto salto de línea y tabulación
+      .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    text = this.normalizeOutsideCode(text, (segment) => this.normalizeInline(segment));
+    text = this.truncate(text, MAX_CONTENT_LENGTH);
+
+    // Un bloque de código sin cerrar se cierra para no romper el resto del render
+    if ((text.match(/^```/gm) || []).length % 2 === 1) {
+      text = this.truncate(text, MAX_CONTENT_LENGTH - 4) + '\n```';
+    }
+
+    return text;
+  }
+
+  // Texto plano para notificaciones push y vistas previas
+  toPlainText(content) {
+    if (!content) return '';
+
+    return String(content)
+      .replace(/^```[^\n]*\n?/gm, '')
+      .replace(/`([^`\n]+)`/g, '$1')
+      .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, '$1')
+      .replace(/\*\*([^*\n]+)\*\*/g, '$1')
+      .replace(/(^|[^\p{L}\p{N}_])_([^_\n]+)_(?![\p{L}\p{N}_])/gu, '$1$2')
+      .replace(/^(\s*)[-]\s+/gm, '$1• ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Aplicar fn solo a los segmentos fuera de bloques y spans de código
+  normalizeOutsideCode(text, fn) {
+    return text
+      .split(/(^```[\s\S]*?^```$|`[^`\n]+`)/m)
+      .map((segment, i) => (i % 2 === 1 ? segment : fn(segment)))
+      .join('');
+  }
+
+  normalizeInline(segment) {
+    return segment
+      // Viñetas "* " y "+ " se unifican como "- "
+      .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+      // Negrita con guiones bajos se unifica como **texto**
+      .replace(/__([^_\n]+)__/g, '**$1**')
+      // Enlaces con protocolo no permitido se reducen al texto
+      .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => (
+        this.isAllowedUrl(url) ? `[${label}](${url})` : label
+      ));
+  }
+
+  isAllowedUrl(url) {
+    try {
+      return ALLOWED_LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Cortar sin partir pares sustitutos (emojis)
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.substring(0, maxLength);
+    return /[\ud800-\udbff]$/.test(cut) ? cut.slice(0, -1) : cut;
+  }
+}
+
+module.exports = new RichTextService();
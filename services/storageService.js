@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Almacenamiento en disco local. Cualquier otro driver debe exponer la misma interfaz:
+// createWriteStream(key), createReadStream(key), stat(key), remove(key)
+class LocalDiskStorage {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  // Resolver la ruta de una key sin permitir salir del directorio base
+  resolvePath(key) {
+    const fullPath = path.resolve(this.baseDir, key);
+    if (!fullPath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Key de almacenamiento inválida: ${key}`);
+    }
+    return fullPath;
+  }
+
+  createWriteStream(key) {
+    const fullPath = this.resolvePath(key);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    return fs.createWriteStream(fullPath);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return { size: stats.size };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[STORAGE] Error eliminando archivo:', error);
+      }
+    }
+  }
+}
+
+// Drivers disponibles (STORAGE_DRIVER en .env)
+const drivers = {
+  local: () => new LocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+function createStorage(driverName = process.env.STORAGE_DRIVER || 'local') {
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Driver de almacenamiento desconocido: ${driverName}`);
+  }
+  return factory();
+}
+
+module.exports = createStorage();
+module.exports.LocalDiskStorage = LocalDiskStorage;
+module.exports.createStorage = createStorage;